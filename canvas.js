@@ -1,26 +1,165 @@
+import {
+  createOperationId,
+  findOperation,
+  drawStrokePiece,
+  strokePiece,
+  createPointSimplifier,
+  replayOperations,
+  drawOperation,
+  getOperationsBounds,
+  visibleOperations,
+  measureText,
+  isShapeTool,
+  transformPoint,
+  invertMatrix,
+  matrixScale,
+  operationLayer,
+  layerOperations,
+  DEFAULT_LAYER_ID
+} from './operations.js';
+import { LayerStack, blendOperation, createLayerId } from './layers.js';
+import { LayerSurfaces } from './surfaces.js';
+import { RoomHistory } from './history.js';
+import { GifEncoder } from './gif.js';
+import { TimelapseRenderer } from './timelapse.js';
+import { ConflictResolver } from './conflict.js';
+import { TextEditor } from './text-editor.js';
+import { SelectionTool } from './selection.js';
+import { prepareImageFile, loadImage, isImageDataUrl } from './images.js';
+import { exportSVG, exportPDF } from './export.js';
+import { serializeOperations, summarizeRoom, saveRoom, loadRoom } from './room-store.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('canvas');
+
+// Logical size of the shared document. Strokes are stored and sent in these units,
+// so every client in the room draws in the same space whatever its window size.
+// The canvas extends past it in every direction; this is the area the view fits by default.
+export const DOCUMENT_WIDTH = 1920;
+export const DOCUMENT_HEIGHT = 1080;
+
+// Dirty-rectangle marker for "redraw the whole display"
+const FULL_FRAME = 'full';
+
 export class CanvasManager {
   constructor(canvasElement) {
     this.canvas = canvasElement;
     this.ctx = this.canvas.getContext('2d', { alpha: true });
     
-    // Separate canvas for user's own drawings (for undo/redo)
-    this.userCanvas = document.createElement('canvas');
-    this.userCtx = this.userCanvas.getContext('2d', { alpha: true });
+    this.documentWidth = DOCUMENT_WIDTH;
+    this.documentHeight = DOCUMENT_HEIGHT;
     
-    // Map of remote user canvases - each user gets their own canvas layer
+    // Viewport transform (CSS pixels): screen = doc * scale + offset
+    this.view = { scale: 1, offsetX: 0, offsetY: 0 };
+    this.viewInitialized = false;
+    this.MIN_ZOOM = 0.05;
+    this.MAX_ZOOM = 10;
+    this.MAX_EXPORT_PIXELS = 64 * 1024 * 1024;
+    this.MAX_TIMELAPSE_FRAMES = 240;
+    this.TIMELAPSE_END_HOLD_MS = 2000;
+    
+    // Pan/zoom gesture state
+    this.spacePressed = false;
+    this.panning = null;
+    this.touchPointers = new Map();
+    this.pinch = null;
+    
+    // The display is composited at most once per animation frame. Changes mark a dirty
+    // rectangle (device pixels, or FULL_FRAME).
+    this.frameRequest = null;
+    this.dirtyRect = null;
+    // While the view moves, the layers as they were when it started moving are stretched into
+    // place; they are replayed under the new view once it has been still for GESTURE_SETTLE_MS
+    this.viewGesture = null;
+    this.GESTURE_SETTLE_MS = 150;
+    this.frameStats = { frames: 0, lastFrameTime: 0, averageFrameTime: 0, maxFrameTime: 0 };
+    
+    // Log of the user's own operations, replayed to rebuild our part of the layers after undo/redo
+    this.operations = [];
+    
+    // Map of remote user canvases - each user gets their own operation log
     this.remoteCanvases = new Map();
     
+    // Named drawing layers shared by the room; new operations go to the active one.
+    // Layers with reduced opacity or a blend mode are flattened on the scratch canvas first.
+    this.drawingLayers = new LayerStack();
+    this.activeLayerId = DEFAULT_LAYER_ID;
+    this.scratch = this.createLayerCanvas();
+    // Every user's operations rasterized per drawing layer (see LayerSurfaces)
+    this.surfaces = new LayerSurfaces(this);
+    
+    // Local-only display of each user's drawings, keyed by userId (null for ours):
+    // 'hidden' or 'dim' per user, and optionally one user soloed ({ userId }) over everyone else
+    this.userDisplay = new Map();
+    this.soloUser = null;
+    this.DIM_OPACITY = 0.3;
+    
     this.drawing = false;
     this.lastPos = { x: 0, y: 0 };
+    this.currentStroke = null;
+    // Decides which points of the freehand stroke are kept and sent (see createPointSimplifier)
+    this.strokeSimplifier = null;
+    // Shape being dragged out; only drawn as a preview until the pointer is released
+    this.previewOperation = null;
     this.mode = 'brush';
     this.strokeColor = '#000000';
     this.lineWidth = 5;
+    // Pen pressure is shaped by a curve (exponent) before it sets the width of each point
+    this.pressureCurve = 'linear';
+    this.pressureOpacity = false;
+    this.PRESSURE_CURVES = { off: 0, soft: 0.5, linear: 1, firm: 2 };
+    this.TILT_WIDTH_BOOST = 0.5;
+    // Stabilizer strength (0-10) and the thinning applied to freehand points, in screen pixels
+    this.stabilizer = 0;
+    this.STABILIZER_MAX_WEIGHT = 0.9;
+    this.MIN_POINT_DISTANCE = 2;
+    this.SIMPLIFY_TOLERANCE = 0.5;
+    // Text font size follows the brush width slider
+    this.TEXT_SIZE_FACTOR = 4;
+    
+    // Imported image being positioned before it is committed: { op, drag }
+    this.pendingImage = null;
+    this.IMAGE_HANDLE_SIZE = 12;
+    
+    // Our own operations picked with the select tool
+    this.selection = new SelectionTool(this);
     
+    // Text currently open in the in-place editor: { pos, color, fontSize, replaces, matrix, layer }
+    this.textEditing = null;
+    this.textEditor = new TextEditor(this.canvas.parentElement);
+    this.textEditor.onCommit = (text) => this.commitText(text);
+    this.textEditor.onCancel = () => this.closeTextEditing();
+    
+    // Undo/redo stacks hold operation ids, not bitmaps
     this.undoStack = [];
     this.redoStack = [];
-    this.MAX_STACK = 50;
+    
+    // Everything drawn in the room, for the timeline. While historyView ({ last, count, layers }) is set
+    // the canvas shows the room up to the entry `last` (null for none), `count` entries when it was
+    // picked, and can't be edited.
+    this.history = new RoomHistory();
+    this.historyView = null;
     
     this.onStateChange = null;
+    // Whether key presses on the window are meant for this canvas; with several apps in one page,
+    // only for the one used last
+    this.isKeyboardTarget = () => true;
+    
+    // Our own user id, so our layer can be recognised in room snapshots sent by peers
+    this.userId = null;
+    
+    // Local autosave of the room's operation logs; stateDirty is set whenever a log changes
+    this.roomId = null;
+    this.stateDirty = false;
+    this.autosaveTimer = null;
+    this.AUTOSAVE_INTERVAL_MS = 5000;
+    this.onAutosave = null;
+    
+    // Remote operations pass through the resolver so they are applied in Lamport order
+    this.conflictResolver = new ConflictResolver({
+      apply: (kind, data) => this.applyRemoteOperation(kind, data),
+      isKnown: (userId, strokeId) => this.hasRemoteOperation(userId, strokeId)
+    });
     
     this.initCanvas();
     this.setupEventListeners();
@@ -31,350 +170,1820 @@ export class CanvasManager {
     window.addEventListener('resize', () => this.setCanvasSize());
   }
   
-  // Resize canvas while preserving content and handling high-DPI displays
+  // Layers are viewport-sized, so a resize re-renders them from their operation logs
   setCanvasSize() {
     const rect = this.canvas.getBoundingClientRect();
-    const userData = this.userCanvas.toDataURL();
-    
-    // Save all remote canvas data
-    const remoteDataMap = new Map();
-    for (const [userId, remoteCanvas] of this.remoteCanvases) {
-      remoteDataMap.set(userId, remoteCanvas.canvas.toDataURL());
-    }
-    
     const dpr = window.devicePixelRatio || 1;
     
     this.canvas.width = Math.floor(rect.width * dpr);
     this.canvas.height = Math.floor(rect.height * dpr);
-    this.userCanvas.width = this.canvas.width;
-    this.userCanvas.height = this.canvas.height;
-    
-    this.ctx.scale(dpr, dpr);
-    this.userCtx.scale(dpr, dpr);
     
     this.ctx.imageSmoothingEnabled = true;
     this.ctx.imageSmoothingQuality = 'high';
-    this.userCtx.imageSmoothingEnabled = true;
-    this.userCtx.imageSmoothingQuality = 'high';
     
-    const userImg = new Image();
-    userImg.onload = () => {
-      this.userCtx.clearRect(0, 0, this.userCanvas.width, this.userCanvas.height);
-      this.userCtx.drawImage(userImg, 0, 0, rect.width, rect.height);
-      this.composeLayers();
-    };
-    userImg.src = userData;
+    this.surfaces.clear();
+    this.endViewGesture();
+    this.scratch.canvas.width = this.canvas.width;
+    this.scratch.canvas.height = this.canvas.height;
     
-    // Restore remote canvases
-    for (const [userId, dataUrl] of remoteDataMap) {
-      const remoteCanvas = this.getOrCreateRemoteCanvas(userId);
-      const img = new Image();
-      img.onload = () => {
-        remoteCanvas.ctx.clearRect(0, 0, remoteCanvas.canvas.width, remoteCanvas.canvas.height);
-        remoteCanvas.ctx.drawImage(img, 0, 0, rect.width, rect.height);
-      };
-      img.src = dataUrl;
+    if (!this.viewInitialized && rect.width > 0 && rect.height > 0) {
+      this.viewInitialized = true;
+      this.view = this.getFitView();
+      if (this.onStateChange) this.onStateChange('view', this.view);
+    }
+    
+    this.renderLayers();
+  }
+  
+  createLayerCanvas() {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d', { alpha: true });
+    
+    canvas.width = this.canvas.width;
+    canvas.height = this.canvas.height;
+    
+    return { canvas, ctx };
+  }
+  
+  getOwnLayer() {
+    return { userId: null, operations: this.operations };
+  }
+  
+  // User's own layer first, then each remote user's layer on top
+  getLayers() {
+    const layers = [this.getOwnLayer()];
+    for (const remoteCanvas of this.remoteCanvases.values()) {
+      layers.push(remoteCanvas);
     }
+    return layers;
   }
   
-  // Get or create a canvas for a remote user
+  // Layers shown on the display: the live ones, or the past state picked on the timeline
+  getDisplayLayers() {
+    return this.historyView ? this.historyView.layers : this.getLayers();
+  }
+  
+  isReadOnly() {
+    return this.historyView !== null;
+  }
+  
+  // Number of history entries up to the one shown, which moves when remote entries are placed before it
+  getHistoryPosition() {
+    if (!this.historyView) return this.history.entries.length;
+    const { last } = this.historyView;
+    return last ? this.history.entries.indexOf(last) + 1 : 0;
+  }
+  
+  // Show the room as it was after the first `count` history entries. Moving forward over entries that only
+  // add operations draws just those; anything else, including entries that arrived since and were placed
+  // before the one shown, rebuilds the past logs from scratch.
+  showHistoryAt(count) {
+    count = Math.max(0, Math.min(count, this.history.entries.length));
+    const previous = this.historyView;
+    if (!previous) {
+      if (this.textEditor.isOpen()) this.textEditor.commit();
+      if (this.pendingImage) this.cancelImagePlacement();
+      this.selection.clear();
+    }
+    
+    const last = count > 0 ? this.history.entries[count - 1] : null;
+    const unchanged = previous && this.getHistoryPosition() === previous.count;
+    if (unchanged && count >= previous.count && this.history.isAppendOnly(previous.count, count)) {
+      for (const entry of this.history.entries.slice(previous.count, count)) {
+        const layer = this.getHistoryLayer(previous.layers, entry.userId);
+        const op = this.history.initialCopy(entry.userId, entry.op);
+        layer.operations.push(op);
+        if (!op.hidden) this.drawToSurface(layer, op);
+      }
+      previous.count = count;
+      previous.last = last;
+    } else {
+      const layers = [];
+      for (const [userId, operations] of this.history.logsAt(count)) {
+        this.getHistoryLayer(layers, userId).operations = operations;
+      }
+      this.historyView = { last, count, layers };
+      this.surfaces.reset();
+    }
+    this.composeLayers();
+  }
+  
+  getHistoryLayer(layers, userId) {
+    let layer = layers.find(l => l.userId === userId);
+    if (!layer) {
+      layer = { userId, operations: [] };
+      layers.push(layer);
+    }
+    return layer;
+  }
+  
+  exitHistoryView() {
+    if (!this.historyView) return;
+    this.historyView = null;
+    this.surfaces.reset();
+    this.renderLayers();
+  }
+  
+  // Get or create the layer of a remote user
   getOrCreateRemoteCanvas(userId) {
     if (!this.remoteCanvases.has(userId)) {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d', { alpha: true });
-      
-      const dpr = window.devicePixelRatio || 1;
-      canvas.width = this.canvas.width;
-      canvas.height = this.canvas.height;
-      
-      ctx.scale(dpr, dpr);
-      ctx.imageSmoothingEnabled = true;
-      ctx.imageSmoothingQuality = 'high';
-      
-      this.remoteCanvases.set(userId, { canvas, ctx });
+      // clock: highest Lamport clock applied from this user; baseClock: clock of the snapshot the log was loaded from
+      this.remoteCanvases.set(userId, { userId, operations: [], clock: 0, baseClock: null });
     }
     return this.remoteCanvases.get(userId);
   }
   
-  // Merge user's own drawings and remote users' drawings onto the display canvas
+  // Live drawing carries on in the logs while the timeline shows the past; it is drawn on the way back
+  isDisplayed(layer) {
+    return !this.historyView || this.historyView.layers.includes(layer);
+  }
+  
+  // Draw an operation just added to a user's log, or with pieceIndex one piece of a stroke,
+  // on top of what that user has drawn on its drawing layer
+  drawToSurface(layer, op, pieceIndex = null) {
+    if (!this.isDisplayed(layer)) return;
+    const ctx = this.surfaces.liveContext(layer, operationLayer(op));
+    if (!ctx) return;
+    if (pieceIndex === null) {
+      drawOperation(ctx, op);
+      ctx.globalCompositeOperation = 'source-over';
+    } else {
+      drawStrokePiece(ctx, op, pieceIndex);
+    }
+  }
+  
+  // Redraw a user's part of the drawing layers from its operation log
+  replayUserLayer(layer) {
+    if (this.isDisplayed(layer)) this.surfaces.refreshUser(layer);
+  }
+  
+  applyViewTransform(ctx) {
+    const dpr = window.devicePixelRatio || 1;
+    const { scale, offsetX, offsetY } = this.view;
+    ctx.setTransform(dpr * scale, 0, 0, dpr * scale, dpr * offsetX, dpr * offsetY);
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+  }
+  
+  // Replay every layer under the current view transform
+  renderLayers() {
+    this.replayLayers();
+    this.composeLayers();
+  }
+  
+  replayLayers() {
+    this.surfaces.invalidate();
+  }
+  
+  // Schedule a full composite of every layer and overlay for the next frame
   composeLayers() {
-    const rect = this.canvas.getBoundingClientRect();
-    
-    this.ctx.save();
-    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    this.ctx.restore();
-    
-    // Draw user's canvas first
-    this.ctx.globalCompositeOperation = 'source-over';
-    this.ctx.drawImage(this.userCanvas, 0, 0, rect.width, rect.height);
-    
-    // Draw each remote user's canvas on top
-    for (const [userId, remoteCanvas] of this.remoteCanvases) {
-      this.ctx.drawImage(remoteCanvas.canvas, 0, 0, rect.width, rect.height);
+    this.invalidate(FULL_FRAME);
+  }
+  
+  // Mark a device-pixel rectangle of the display as changed; rectangles are merged until the frame runs
+  invalidate(rect) {
+    if (rect === FULL_FRAME || this.dirtyRect === FULL_FRAME) {
+      this.dirtyRect = FULL_FRAME;
+    } else if (this.dirtyRect) {
+      const x = Math.min(this.dirtyRect.x, rect.x);
+      const y = Math.min(this.dirtyRect.y, rect.y);
+      this.dirtyRect = {
+        x,
+        y,
+        width: Math.max(this.dirtyRect.x + this.dirtyRect.width, rect.x + rect.width) - x,
+        height: Math.max(this.dirtyRect.y + this.dirtyRect.height, rect.y + rect.height) - y
+      };
+    } else {
+      this.dirtyRect = rect;
     }
+    this.scheduleFrame();
   }
   
-  setupEventListeners() {
-    this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
-    this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
-    this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
-    this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
-    this.canvas.addEventListener('touchstart', (e) => e.preventDefault(), { passive: false });
+  // Only the area around a newly drawn stroke piece needs compositing
+  invalidateStrokePiece(op, index) {
+    if (op.points.length < 2) return;
+    const piece = strokePiece(op, index);
+    const points = piece.control ? [piece.from, piece.control, piece.to] : [piece.from, piece.to];
+    const dpr = window.devicePixelRatio || 1;
+    const pad = (op.width / 2) * this.view.scale * dpr + 2;
+    const screen = points.map(p => this.documentToScreen(p));
+    const xs = screen.map(p => p.x * dpr);
+    const ys = screen.map(p => p.y * dpr);
+    const x = Math.floor(Math.min(...xs) - pad);
+    const y = Math.floor(Math.min(...ys) - pad);
+    this.invalidate({ x, y, width: Math.ceil(Math.max(...xs) + pad) - x, height: Math.ceil(Math.max(...ys) + pad) - y });
   }
   
-  getPointerPos(e) {
-    const rect = this.canvas.getBoundingClientRect();
-    return {
-      x: (e.clientX - rect.left),
-      y: (e.clientY - rect.top)
-    };
+  scheduleFrame() {
+    if (this.frameRequest) return;
+    this.frameRequest = requestAnimationFrame(() => this.drawFrame());
   }
   
-  // Capture pointer to prevent losing events if cursor leaves canvas during drawing
-  handlePointerDown(e) {
-    if (e.button !== undefined && e.button !== 0) return;
+  drawFrame() {
+    this.frameRequest = null;
+    if (!this.dirtyRect) return;
+    const start = performance.now();
     
-    this.canvas.setPointerCapture(e.pointerId);
-    this.pushUndo();
+    const rect = this.dirtyRect;
+    this.dirtyRect = null;
+    this.compositeLayers(rect === FULL_FRAME ? null : rect);
     
-    this.drawing = true;
-    this.lastPos = this.getPointerPos(e);
+    this.recordFrameTime(performance.now() - start);
+  }
+  
+  recordFrameTime(time) {
+    const stats = this.frameStats;
+    stats.frames += 1;
+    stats.lastFrameTime = time;
+    stats.averageFrameTime = stats.frames === 1 ? time : stats.averageFrameTime * 0.9 + time * 0.1;
+    stats.maxFrameTime = Math.max(stats.maxFrameTime, time);
+  }
+  
+  getFrameStats() {
+    return { ...this.frameStats };
+  }
+  
+  // Merge user's own drawings and remote users' drawings onto the display canvas,
+  // limited to the dirty rectangle when there is one
+  compositeLayers(rect) {
+    const area = rect ? this.clipToCanvas(rect) : { x: 0, y: 0, width: this.canvas.width, height: this.canvas.height };
+    if (area.width <= 0 || area.height <= 0) return;
+    
+    this.ctx.save();
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    if (rect) {
+      this.ctx.beginPath();
+      this.ctx.rect(area.x, area.y, area.width, area.height);
+      this.ctx.clip();
+    }
+    this.ctx.clearRect(area.x, area.y, area.width, area.height);
+    this.ctx.globalCompositeOperation = 'source-over';
     
-    this.userCtx.lineCap = 'round';
-    this.userCtx.lineJoin = 'round';
-    this.userCtx.lineWidth = this.lineWidth;
+    // Outline the document area so people can find their way back to it
+    const dpr = window.devicePixelRatio || 1;
+    const topLeft = this.documentToScreen({ x: 0, y: 0 });
+    this.ctx.strokeStyle = 'rgba(15, 23, 42, 0.25)';
+    this.ctx.lineWidth = dpr;
+    this.ctx.setLineDash([6 * dpr, 4 * dpr]);
+    this.ctx.strokeRect(
+      topLeft.x * dpr,
+      topLeft.y * dpr,
+      this.documentWidth * this.view.scale * dpr,
+      this.documentHeight * this.view.scale * dpr
+    );
+    this.ctx.setLineDash([]);
     
-    if (this.mode === 'eraser') {
-      this.userCtx.globalCompositeOperation = 'destination-out';
-      this.userCtx.strokeStyle = 'rgba(0,0,0,1)';
+    if (this.viewGesture) {
+      this.drawViewGesture(dpr);
     } else {
-      this.userCtx.globalCompositeOperation = 'source-over';
-      this.userCtx.strokeStyle = this.strokeColor;
+      this.drawDrawingLayers(this.ctx, area);
     }
     
-    this.userCtx.beginPath();
-    this.userCtx.moveTo(this.lastPos.x, this.lastPos.y);
+    if (this.previewOperation) {
+      this.applyViewTransform(this.ctx);
+      drawOperation(this.ctx, this.previewOperation);
+    }
     
-    // Send drawing events for both brush and eraser
-    this.emitDrawEvent('start', this.lastPos);
+    if (this.mode === 'select') {
+      this.selection.drawOverlay(this.ctx, dpr);
+    }
+    
+    if (this.pendingImage) {
+      this.drawImagePlacement(dpr);
+    }
+    this.ctx.restore();
   }
   
-  handlePointerMove(e) {
-    if (!this.drawing) return;
-    
-    const pos = this.getPointerPos(e);
-    this.userCtx.lineTo(pos.x, pos.y);
-    this.userCtx.stroke();
-    this.lastPos = pos;
-    
-    // Update display canvas in real-time
+  // Drawing layers bottom to top onto ctx (untransformed), within area; layers that changed are rebuilt first
+  drawDrawingLayers(ctx, area) {
+    const drawingLayers = this.drawingLayers.list().filter(layer => layer.visible && layer.opacity > 0);
+    this.surfaces.update(drawingLayers.map(layer => layer.id));
+    for (const drawingLayer of drawingLayers) {
+      const surfaces = this.surfaces.get(drawingLayer.id);
+      if (surfaces.length === 0) continue;
+      
+      // Opacity and blend modes apply to the flattened layer, not to each user's strokes separately
+      const direct = drawingLayer.opacity >= 1 && drawingLayer.blend === 'normal';
+      const target = direct ? ctx : this.scratch.ctx;
+      if (!direct) target.clearRect(area.x, area.y, area.width, area.height);
+      for (const { canvas, alpha } of surfaces) {
+        target.globalAlpha = alpha;
+        target.drawImage(canvas, area.x, area.y, area.width, area.height, area.x, area.y, area.width, area.height);
+      }
+      target.globalAlpha = 1;
+      if (!direct) {
+        ctx.globalAlpha = drawingLayer.opacity;
+        ctx.globalCompositeOperation = blendOperation(drawingLayer.blend);
+        ctx.drawImage(this.scratch.canvas, area.x, area.y, area.width, area.height, area.x, area.y, area.width, area.height);
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+      }
+    }
+  }
+  
+  // The raster taken when the view started moving, moved from where it was then to where it is now
+  drawViewGesture(dpr) {
+    const { raster, view } = this.viewGesture;
+    const ratio = this.view.scale / view.scale;
+    this.ctx.setTransform(
+      ratio, 0, 0, ratio,
+      dpr * (this.view.offsetX - view.offsetX * ratio),
+      dpr * (this.view.offsetY - view.offsetY * ratio)
+    );
+    this.ctx.drawImage(raster.canvas, 0, 0);
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+  }
+  
+  // How strongly a user's drawings are shown on this screen only; nothing here is sent to peers
+  getUserOpacity(userId) {
+    if (this.soloUser) return this.soloUser.userId === userId ? 1 : 0;
+    const mode = this.userDisplay.get(userId);
+    return mode === 'hidden' ? 0 : mode === 'dim' ? this.DIM_OPACITY : 1;
+  }
+  
+  getUserDisplay(userId) {
+    return this.userDisplay.get(userId) || 'visible';
+  }
+  
+  // mode: 'visible', 'hidden' or 'dim'
+  setUserDisplay(userId, mode) {
+    if (mode === 'visible') {
+      this.userDisplay.delete(userId);
+    } else {
+      this.userDisplay.set(userId, mode);
+    }
+    // Flattened layers have each user's opacity baked in
+    this.surfaces.invalidate();
     this.composeLayers();
-    
-    // Send drawing events for both brush and eraser
-    this.emitDrawEvent('move', pos);
   }
   
-  handlePointerUp(e) {
-    if (!this.drawing) return;
-    
-    this.drawing = false;
-    this.userCtx.closePath();
-    this.redoStack.length = 0;
+  isSoloed(userId) {
+    return !!this.soloUser && this.soloUser.userId === userId;
+  }
+  
+  // Soloing the soloed user again shows everyone
+  toggleSolo(userId) {
+    this.soloUser = this.isSoloed(userId) ? null : { userId };
+    this.surfaces.invalidate();
+    this.composeLayers();
+  }
+  
+  clipToCanvas(rect) {
+    const x = Math.max(0, rect.x);
+    const y = Math.max(0, rect.y);
+    return {
+      x,
+      y,
+      width: Math.min(this.canvas.width, rect.x + rect.width) - x,
+      height: Math.min(this.canvas.height, rect.y + rect.height) - y
+    };
+  }
+  
+  // Floating image with a dashed outline and a resize handle in its bottom-right corner
+  drawImagePlacement(dpr) {
+    const op = this.pendingImage.op;
+    this.applyViewTransform(this.ctx);
+    drawOperation(this.ctx, op);
     
-    try {
-      this.canvas.releasePointerCapture(e.pointerId);
-    } catch (err) {}
+    const topLeft = this.documentToScreen({ x: op.x, y: op.y });
+    const width = op.width * this.view.scale;
+    const height = op.height * this.view.scale;
+    const handle = this.IMAGE_HANDLE_SIZE;
     
-    // Send drawing events for both brush and eraser
-    this.emitDrawEvent('end', this.lastPos);
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    this.ctx.strokeStyle = '#6366f1';
+    this.ctx.lineWidth = 1.5;
+    this.ctx.setLineDash([6, 4]);
+    this.ctx.strokeRect(topLeft.x, topLeft.y, width, height);
+    this.ctx.setLineDash([]);
+    this.ctx.fillStyle = '#6366f1';
+    this.ctx.fillRect(topLeft.x + width - handle / 2, topLeft.y + height - handle / 2, handle, handle);
+  }
+  
+  // Convert between document coordinates and CSS pixels relative to the canvas element
+  documentToScreen(pos) {
+    return {
+      x: pos.x * this.view.scale + this.view.offsetX,
+      y: pos.y * this.view.scale + this.view.offsetY
+    };
+  }
+  
+  screenToDocument(pos) {
+    return {
+      x: (pos.x - this.view.offsetX) / this.view.scale,
+      y: (pos.y - this.view.offsetY) / this.view.scale
+    };
+  }
+  
+  // Panning and zooming only move a raster of the layers around; they are replayed once the view settles
+  setView(view) {
+    if (!this.viewGesture) this.startViewGesture();
+    clearTimeout(this.viewGesture.timer);
+    this.viewGesture.timer = setTimeout(() => this.settleViewGesture(), this.GESTURE_SETTLE_MS);
     
+    this.view = view;
+    if (this.textEditing) {
+      this.positionTextEditor();
+    }
+    if (this.onStateChange) this.onStateChange('view', view);
     this.composeLayers();
   }
   
-  setMode(mode) {
-    this.mode = mode;
-    if (this.onStateChange) this.onStateChange('mode', mode);
+  startViewGesture() {
+    const raster = this.createLayerCanvas();
+    this.drawDrawingLayers(raster.ctx, { x: 0, y: 0, width: raster.canvas.width, height: raster.canvas.height });
+    this.viewGesture = { raster, view: { ...this.view }, timer: null };
   }
   
-  setColor(color) {
-    this.strokeColor = color;
-    if (this.onStateChange) this.onStateChange('color', color);
+  settleViewGesture() {
+    this.endViewGesture();
+    this.renderLayers();
   }
   
-  setLineWidth(width) {
-    this.lineWidth = width;
-    if (this.onStateChange) this.onStateChange('width', width);
+  endViewGesture() {
+    if (!this.viewGesture) return;
+    clearTimeout(this.viewGesture.timer);
+    this.viewGesture.raster.canvas.width = 0;
+    this.viewGesture.raster.canvas.height = 0;
+    this.viewGesture = null;
   }
   
-  pushUndo() {
-    if (this.undoStack.length >= this.MAX_STACK) this.undoStack.shift();
-    this.undoStack.push(this.userCanvas.toDataURL());
+  // View that fits the whole document into the window
+  getFitView() {
+    const rect = this.canvas.getBoundingClientRect();
+    const scale = Math.min(rect.width / this.documentWidth, rect.height / this.documentHeight) || 1;
+    return {
+      scale,
+      offsetX: (rect.width - this.documentWidth * scale) / 2,
+      offsetY: (rect.height - this.documentHeight * scale) / 2
+    };
   }
   
-  undo() {
-    if (this.undoStack.length === 0) return Promise.resolve(false);
-    
-    this.redoStack.push(this.userCanvas.toDataURL());
-    const dataUrl = this.undoStack.pop();
-    return this.applyDataUrl(dataUrl).then(() => true);
+  resetView() {
+    this.setView(this.getFitView());
   }
   
-  redo() {
-    if (this.redoStack.length === 0) return Promise.resolve(false);
-    
-    this.undoStack.push(this.userCanvas.toDataURL());
-    const dataUrl = this.redoStack.pop();
-    return this.applyDataUrl(dataUrl).then(() => true);
-  }
-  
-  applyDataUrl(dataUrl) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => {
-        const rect = this.canvas.getBoundingClientRect();
-        this.userCtx.save();
-        this.userCtx.setTransform(1, 0, 0, 1, 0, 0);
-        this.userCtx.clearRect(0, 0, this.userCanvas.width, this.userCanvas.height);
-        this.userCtx.restore();
-        this.userCtx.globalCompositeOperation = 'source-over';
-        this.userCtx.drawImage(img, 0, 0, rect.width, rect.height);
-        this.composeLayers();
-        resolve();
-      };
-      img.onerror = () => {
-        console.error('Failed to apply canvas data');
-        reject(new Error('Failed to load image'));
-      };
-      img.src = dataUrl;
+  panBy(dx, dy) {
+    this.setView({
+      scale: this.view.scale,
+      offsetX: this.view.offsetX + dx,
+      offsetY: this.view.offsetY + dy
     });
   }
   
-  clear() {
-    this.pushUndo();
-    this.userCtx.save();
-    this.userCtx.setTransform(1, 0, 0, 1, 0, 0);
-    this.userCtx.clearRect(0, 0, this.userCanvas.width, this.userCanvas.height);
-    this.userCtx.restore();
-    this.redoStack.length = 0;
-    this.composeLayers();
+  // Zoom around a screen point, keeping the document position under it fixed
+  zoomAt(factor, screenX, screenY) {
+    const scale = Math.min(this.MAX_ZOOM, Math.max(this.MIN_ZOOM, this.view.scale * factor));
+    const ratio = scale / this.view.scale;
+    this.setView({
+      scale,
+      offsetX: screenX - (screenX - this.view.offsetX) * ratio,
+      offsetY: screenY - (screenY - this.view.offsetY) * ratio
+    });
   }
   
-  clearRemoteCanvas(userId) {
-    // Clear only a specific user's remote canvas (when they clear their drawings)
-    if (!userId) {
-      console.warn('clearRemoteCanvas called without userId');
-      return;
-    }
+  setupEventListeners() {
+    this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+    this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+    this.canvas.addEventListener('touchstart', (e) => e.preventDefault(), { passive: false });
+    this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
     
-    const remoteCanvas = this.remoteCanvases.get(userId);
-    if (remoteCanvas) {
-      remoteCanvas.ctx.save();
-      remoteCanvas.ctx.setTransform(1, 0, 0, 1, 0, 0);
-      remoteCanvas.ctx.clearRect(0, 0, remoteCanvas.canvas.width, remoteCanvas.canvas.height);
-      remoteCanvas.ctx.restore();
-      this.composeLayers();
+    // Holding space turns a left-button drag into a pan
+    window.addEventListener('keydown', (e) => {
+      if (!this.isKeyboardTarget() || this.isTypingTarget(e.target)) return;
+      if (this.pendingImage && (e.key === 'Enter' || e.key === 'Escape')) {
+        e.preventDefault();
+        if (e.key === 'Enter') {
+          this.commitImage();
+        } else {
+          this.cancelImagePlacement();
+        }
+        return;
+      }
+      
+      if (e.code !== 'Space') return;
+      e.preventDefault();
+      if (!this.spacePressed) {
+        this.spacePressed = true;
+        this.updateCanvasCursor();
+      }
+    });
+    window.addEventListener('keyup', (e) => {
+      if (e.code !== 'Space') return;
+      this.spacePressed = false;
+      this.updateCanvasCursor();
+    });
+  }
+  
+  // Form fields keep their keys, including the Enter and arrow keys of a <select>
+  isTypingTarget(target) {
+    return !!target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable);
+  }
+  
+  updateCanvasCursor() {
+    if (this.panning) {
+      this.canvas.style.cursor = 'grabbing';
+    } else if (this.spacePressed) {
+      this.canvas.style.cursor = 'grab';
+    } else if (this.mode === 'text') {
+      this.canvas.style.cursor = 'text';
+    } else if (this.mode === 'select') {
+      this.canvas.style.cursor = 'default';
+    } else {
+      this.canvas.style.cursor = '';
     }
   }
   
-  removeRemoteUser(userId) {
-    // Remove a user's canvas when they leave
-    if (this.remoteCanvases.has(userId)) {
-      this.remoteCanvases.delete(userId);
-      this.composeLayers();
+  // Ctrl+wheel (and trackpad pinch, which browsers report the same way) zooms; plain wheel pans
+  handleWheel(e) {
+    e.preventDefault();
+    const rect = this.canvas.getBoundingClientRect();
+    
+    if (e.ctrlKey || e.metaKey) {
+      this.zoomAt(Math.exp(-e.deltaY * 0.01), e.clientX - rect.left, e.clientY - rect.top);
+    } else {
+      this.panBy(-e.deltaX, -e.deltaY);
     }
   }
   
-  updateRemoteCanvas(userId, dataUrl) {
-    // Update a specific user's canvas with new data (for undo/redo sync)
-    if (!userId || !dataUrl) {
-      console.warn('updateRemoteCanvas called with invalid parameters', { userId, hasDataUrl: !!dataUrl });
-      return;
+  // Two touch points pinch-zoom and pan; returns true while a pinch is in progress
+  handleTouchGesture(e) {
+    if (e.pointerType !== 'touch') return false;
+    
+    const rect = this.canvas.getBoundingClientRect();
+    const point = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    
+    if (e.type === 'pointerdown') {
+      this.touchPointers.set(e.pointerId, point);
+      if (this.touchPointers.size === 2) {
+        // The first finger may have started a stroke; end it before the pinch takes over
+        if (this.drawing) this.cancelDrawing();
+        this.pinch = { ...this.getPinchGeometry(), view: { ...this.view } };
+      }
+    } else if (e.type === 'pointermove') {
+      if (!this.touchPointers.has(e.pointerId)) return false;
+      this.touchPointers.set(e.pointerId, point);
+      if (this.pinch) {
+        const { distance, center } = this.getPinchGeometry();
+        const start = this.pinch;
+        const scale = Math.min(this.MAX_ZOOM, Math.max(this.MIN_ZOOM, start.view.scale * distance / start.distance));
+        const docCenter = {
+          x: (start.center.x - start.view.offsetX) / start.view.scale,
+          y: (start.center.y - start.view.offsetY) / start.view.scale
+        };
+        this.setView({
+          scale,
+          offsetX: center.x - docCenter.x * scale,
+          offsetY: center.y - docCenter.y * scale
+        });
+      }
+    } else {
+      this.touchPointers.delete(e.pointerId);
+      if (this.pinch && this.touchPointers.size < 2) {
+        this.pinch = null;
+        return true;
+      }
     }
     
-    console.log('Updating remote canvas for user:', userId);
-    const remoteCanvas = this.getOrCreateRemoteCanvas(userId);
-    const img = new Image();
-    img.onload = () => {
-      const rect = this.canvas.getBoundingClientRect();
-      remoteCanvas.ctx.save();
-      remoteCanvas.ctx.setTransform(1, 0, 0, 1, 0, 0);
-      remoteCanvas.ctx.clearRect(0, 0, remoteCanvas.canvas.width, remoteCanvas.canvas.height);
-      remoteCanvas.ctx.restore();
-      remoteCanvas.ctx.globalCompositeOperation = 'source-over';
-      remoteCanvas.ctx.drawImage(img, 0, 0, rect.width, rect.height);
-      console.log('Remote canvas updated and composing layers');
-      this.composeLayers();
-    };
-    img.onerror = () => {
-      console.error('Failed to load image for remote canvas update');
+    return !!this.pinch;
+  }
+  
+  getPinchGeometry() {
+    const [a, b] = [...this.touchPointers.values()];
+    return {
+      distance: Math.hypot(b.x - a.x, b.y - a.y) || 1,
+      center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
     };
-    img.src = dataUrl;
   }
   
-  download(filename = 'canvas.png') {
-    const a = document.createElement('a');
-    a.href = this.canvas.toDataURL('image/png');
-    a.download = filename;
-    a.click();
+  // Pointer position in document coordinates
+  getPointerPos(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return this.screenToDocument({
+      x: (e.clientX - rect.left),
+      y: (e.clientY - rect.top)
+    });
   }
   
-  emitDrawEvent(type, pos) {
-    if (this.onStateChange) {
-      this.onStateChange('draw', {
-        type,
-        pos,
-        mode: this.mode,
-        color: this.strokeColor,
-        width: this.lineWidth
-      });
-    }
+  // Pen input adds a pressure factor to the point; a tilted pen draws broader, like a pencil on its side.
+  // The curve is applied here so peers only ever see the resulting factor.
+  getStrokePoint(e) {
+    const pos = this.getPointerPos(e);
+    const exponent = this.PRESSURE_CURVES[this.pressureCurve];
+    if (e.pointerType !== 'pen' || !exponent) return pos;
+    
+    const pressure = Math.pow(Math.max(0, Math.min(1, e.pressure || 0)), exponent);
+    const tilt = Math.min(1, Math.hypot(e.tiltX || 0, e.tiltY || 0) / 90);
+    const p = Math.min(1, pressure * (1 + tilt * this.TILT_WIDTH_BOOST));
+    return { ...pos, p: Math.round(p * 1000) / 1000 };
   }
   
-  // Draw remote user strokes on their separate canvas layer (including eraser strokes)
-  applyRemoteDrawing(drawData) {
-    const { type, pos, mode, color, width, userId } = drawData;
+  // Capture pointer to prevent losing events if cursor leaves canvas during drawing
+  handlePointerDown(e) {
+    if (this.handleTouchGesture(e)) return;
     
-    if (!userId) {
-      console.warn('Drawing data missing userId:', drawData);
+    // Middle button, or left button with space held, pans the view
+    if (e.button === 1 || (e.button === 0 && this.spacePressed)) {
+      e.preventDefault();
+      this.canvas.setPointerCapture(e.pointerId);
+      this.panning = { x: e.clientX, y: e.clientY };
+      this.updateCanvasCursor();
       return;
     }
     
-    const remoteCanvas = this.getOrCreateRemoteCanvas(userId);
-    const ctx = remoteCanvas.ctx;
-    
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-    ctx.lineWidth = width;
+    if (e.button !== undefined && e.button !== 0) return;
+    if (this.isReadOnly()) {
+      if (this.onStateChange) this.onStateChange('read-only');
+      return;
+    }
     
-    if (mode === 'eraser') {
-      // Apply eraser effect to this user's layer only
-      ctx.globalCompositeOperation = 'destination-out';
-      ctx.strokeStyle = 'rgba(0,0,0,1)';
+    if (this.pendingImage) {
+      this.handleImagePlacement(e);
+      return;
+    }
+    
+    if (this.mode === 'select') {
+      this.selection.handlePointer(e);
+      return;
+    }
+    
+    if (this.mode === 'text') {
+      // Keep the browser from moving focus away from the editor we are about to open
+      e.preventDefault();
+      this.openTextEditor(this.getPointerPos(e));
+      return;
+    }
+    
+    if (!this.checkActiveLayerEditable()) return;
+    
+    this.canvas.setPointerCapture(e.pointerId);
+    
+    this.drawing = true;
+    this.lastPos = isShapeTool(this.mode) ? this.getPointerPos(e) : this.getStrokePoint(e);
+    
+    if (isShapeTool(this.mode)) {
+      this.previewOperation = {
+        id: createOperationId(),
+        tool: this.mode,
+        color: this.strokeColor,
+        width: this.lineWidth,
+        points: [this.lastPos, this.lastPos],
+        layer: this.activeLayerId
+      };
+      return;
+    }
+    
+    this.currentStroke = {
+      id: createOperationId(),
+      tool: this.mode,
+      color: this.strokeColor,
+      width: this.lineWidth,
+      pressureOpacity: this.pressureOpacity,
+      points: [this.lastPos],
+      layer: this.activeLayerId
+    };
+    this.operations.push(this.currentStroke);
+    this.strokeSimplifier = createPointSimplifier(this.lastPos, this.SIMPLIFY_TOLERANCE / this.view.scale, this.lineWidth);
+    
+    // Send drawing events for both brush and eraser
+    this.emitDrawEvent('start', this.lastPos);
+  }
+  
+  handlePointerMove(e) {
+    if (this.handleTouchGesture(e)) return;
+    
+    if (this.panning) {
+      this.panBy(e.clientX - this.panning.x, e.clientY - this.panning.y);
+      this.panning = { x: e.clientX, y: e.clientY };
+      return;
+    }
+    
+    if (this.pendingImage) {
+      this.handleImagePlacement(e);
+      return;
+    }
+    
+    if (this.mode === 'select') {
+      this.selection.handlePointer(e);
+      return;
+    }
+    
+    if (!this.drawing) return;
+    
+    if (this.previewOperation) {
+      this.updateShapePreview(this.getPointerPos(e), e.shiftKey);
+      return;
+    }
+    
+    this.extendStroke(this.stabilize(this.getStrokePoint(e)));
+  }
+  
+  // The stabilized point trails the pointer like a weight on a string, evening out hand jitter
+  stabilize(point) {
+    const weight = (this.stabilizer / 10) * this.STABILIZER_MAX_WEIGHT;
+    if (weight === 0) return point;
+    
+    const last = this.lastPos;
+    const result = {
+      x: last.x + (point.x - last.x) * (1 - weight),
+      y: last.y + (point.y - last.y) * (1 - weight)
+    };
+    if (typeof point.p === 'number') {
+      const lastP = typeof last.p === 'number' ? last.p : point.p;
+      result.p = Math.round((lastP + (point.p - lastP) * (1 - weight)) * 1000) / 1000;
+    }
+    return result;
+  }
+  
+  // Add a point to the freehand stroke and draw the piece it completes. Points closer than a
+  // couple of pixels to the previous one are skipped; the rest are sent once the simplifier keeps them.
+  extendStroke(pos) {
+    const minDistance = this.MIN_POINT_DISTANCE / this.view.scale;
+    if (Math.hypot(pos.x - this.lastPos.x, pos.y - this.lastPos.y) < minDistance) return;
+    
+    this.currentStroke.points.push(pos);
+    this.drawToSurface(this.getOwnLayer(), this.currentStroke, this.currentStroke.points.length - 2);
+    this.lastPos = pos;
+    
+    // Update display canvas on the next frame
+    this.invalidateStrokePiece(this.currentStroke, this.currentStroke.points.length - 2);
+    
+    const kept = this.strokeSimplifier.add(pos);
+    if (kept) this.emitDrawEvent('move', kept);
+  }
+  
+  handlePointerUp(e) {
+    if (this.handleTouchGesture(e)) return;
+    
+    if (this.panning) {
+      this.panning = null;
+      this.updateCanvasCursor();
+      try {
+        this.canvas.releasePointerCapture(e.pointerId);
+      } catch (err) {}
+      return;
+    }
+    
+    if (this.pendingImage) {
+      this.handleImagePlacement(e);
+      return;
+    }
+    
+    if (this.mode === 'select') {
+      this.selection.handlePointer(e);
+      return;
+    }
+    
+    if (!this.drawing) return;
+    
+    try {
+      this.canvas.releasePointerCapture(e.pointerId);
+    } catch (err) {}
+    
+    if (this.previewOperation) {
+      this.updateShapePreview(this.getPointerPos(e), e.shiftKey);
+      this.commitShape();
     } else {
-      // Normal brush drawing
-      ctx.globalCompositeOperation = 'source-over';
-      ctx.strokeStyle = color;
+      // A stabilized stroke catches up with the point where it was released (keeping the pen's pressure)
+      if (this.stabilizer > 0) {
+        const end = this.getPointerPos(e);
+        if (typeof this.lastPos.p === 'number') end.p = this.lastPos.p;
+        this.extendStroke(end);
+      }
+      this.finishStroke();
+    }
+  }
+  
+  // Start placing an imported image; it floats over the canvas until committed or cancelled
+  async importImage(file) {
+    if (this.isReadOnly()) return;
+    const prepared = await prepareImageFile(file);
+    if (this.pendingImage) this.cancelImagePlacement();
+    
+    // Fit into half of the visible area, centred in the view, without enlarging it
+    const rect = this.canvas.getBoundingClientRect();
+    const fit = Math.min(
+      1,
+      (rect.width / this.view.scale) * 0.5 / prepared.width,
+      (rect.height / this.view.scale) * 0.5 / prepared.height
+    );
+    const width = prepared.width * fit;
+    const height = prepared.height * fit;
+    const center = this.screenToDocument({ x: rect.width / 2, y: rect.height / 2 });
+    
+    this.pendingImage = {
+      op: {
+        id: createOperationId(),
+        tool: 'image',
+        src: prepared.src,
+        image: prepared.image,
+        x: center.x - width / 2,
+        y: center.y - height / 2,
+        width,
+        height
+      },
+      drag: null
+    };
+    this.composeLayers();
+    if (this.onStateChange) this.onStateChange('image-placement', true);
+  }
+  
+  // Drag inside the image to move it, drag the corner handle to scale it, click outside to place it
+  handleImagePlacement(e) {
+    const placement = this.pendingImage;
+    const op = placement.op;
+    const pos = this.getPointerPos(e);
+    
+    if (e.type === 'pointerdown') {
+      const handle = this.IMAGE_HANDLE_SIZE / this.view.scale;
+      const onHandle = Math.abs(pos.x - (op.x + op.width)) <= handle && Math.abs(pos.y - (op.y + op.height)) <= handle;
+      const inside = pos.x >= op.x && pos.x <= op.x + op.width && pos.y >= op.y && pos.y <= op.y + op.height;
+      
+      if (onHandle) {
+        placement.drag = { mode: 'resize', aspect: op.width / op.height };
+      } else if (inside) {
+        placement.drag = { mode: 'move', dx: pos.x - op.x, dy: pos.y - op.y };
+      } else {
+        this.commitImage();
+        return;
+      }
+      this.canvas.setPointerCapture(e.pointerId);
+    } else if (e.type === 'pointermove' && placement.drag) {
+      if (placement.drag.mode === 'move') {
+        op.x = pos.x - placement.drag.dx;
+        op.y = pos.y - placement.drag.dy;
+      } else {
+        const minSize = this.IMAGE_HANDLE_SIZE * 2 / this.view.scale;
+        const aspect = placement.drag.aspect;
+        const width = Math.max(minSize, pos.x - op.x, (pos.y - op.y) * aspect);
+        op.width = width;
+        op.height = width / aspect;
+      }
+      this.composeLayers();
+    } else if (e.type === 'pointerup' || e.type === 'pointercancel') {
+      placement.drag = null;
+      try {
+        this.canvas.releasePointerCapture(e.pointerId);
+      } catch (err) {}
+    }
+  }
+  
+  cancelImagePlacement() {
+    this.pendingImage = null;
+    this.composeLayers();
+    if (this.onStateChange) this.onStateChange('image-placement', false);
+  }
+  
+  // The image is sent to peers once, as a single downscaled data URL
+  commitImage() {
+    if (!this.checkActiveLayerEditable()) return;
+    const op = this.pendingImage.op;
+    this.pendingImage = null;
+    
+    op.layer = this.activeLayerId;
+    this.operations.push(op);
+    this.recordOperation(op);
+    this.drawToSurface(this.getOwnLayer(), op);
+    this.composeLayers();
+    
+    this.emitOperation('draw', {
+      type: 'image',
+      strokeId: op.id,
+      layer: op.layer,
+      src: op.src,
+      x: op.x,
+      y: op.y,
+      width: op.width,
+      height: op.height
+    });
+    if (this.onStateChange) this.onStateChange('image-placement', false);
+  }
+  
+  // A second finger turns the gesture into a pinch: keep a started stroke, drop a shape preview
+  cancelDrawing() {
+    if (this.previewOperation) {
+      this.drawing = false;
+      this.previewOperation = null;
+      this.composeLayers();
+    } else {
+      this.finishStroke();
+    }
+  }
+  
+  updateShapePreview(pos, constrain) {
+    const start = this.previewOperation.points[0];
+    const end = constrain ? this.constrainShapeEnd(this.previewOperation.tool, start, pos) : pos;
+    this.previewOperation.points = [start, end];
+    this.composeLayers();
+  }
+  
+  // Shift keeps rectangles square, ellipses circular and lines/arrows on 45° steps
+  constrainShapeEnd(tool, start, pos) {
+    const dx = pos.x - start.x;
+    const dy = pos.y - start.y;
+    
+    if (tool === 'rect' || tool === 'ellipse') {
+      const size = Math.max(Math.abs(dx), Math.abs(dy));
+      return { x: start.x + Math.sign(dx || 1) * size, y: start.y + Math.sign(dy || 1) * size };
+    }
+    
+    const step = Math.PI / 4;
+    const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+    const length = Math.hypot(dx, dy);
+    return { x: start.x + Math.cos(angle) * length, y: start.y + Math.sin(angle) * length };
+  }
+  
+  // Shapes are committed as one operation and sent to peers as a single message
+  commitShape() {
+    const op = this.previewOperation;
+    this.drawing = false;
+    this.previewOperation = null;
+    
+    const [a, b] = op.points;
+    if (a.x === b.x && a.y === b.y) {
+      this.composeLayers();
+      return;
+    }
+    
+    this.operations.push(op);
+    this.recordOperation(op);
+    this.drawToSurface(this.getOwnLayer(), op);
+    this.composeLayers();
+    
+    this.emitOperation('draw', {
+      type: 'shape',
+      strokeId: op.id,
+      layer: op.layer,
+      mode: op.tool,
+      color: op.color,
+      width: op.width,
+      points: op.points
+    });
+  }
+  
+  // 'end' carries the last point, which the simplifier was still holding back. The finished
+  // stroke keeps only the points that were sent, so every peer has exactly the same geometry.
+  finishStroke() {
+    const stroke = this.currentStroke;
+    this.drawing = false;
+    const last = this.strokeSimplifier.finish();
+    stroke.points = this.strokeSimplifier.points;
+    this.recordOperation(stroke);
+    
+    this.emitDrawEvent('end', last);
+    this.currentStroke = null;
+    this.strokeSimplifier = null;
+    
+    this.redrawUserLayer();
+  }
+  
+  setMode(mode) {
+    if (mode !== 'select') this.selection.clear();
+    this.mode = mode;
+    this.updateCanvasCursor();
+    if (this.onStateChange) this.onStateChange('mode', mode);
+  }
+  
+  setColor(color) {
+    this.strokeColor = color;
+    if (this.textEditing) {
+      this.textEditing.color = color;
+      this.textEditor.setStyle({ color });
+    }
+    if (this.onStateChange) this.onStateChange('color', color);
+  }
+  
+  setStabilizer(level) {
+    this.stabilizer = Math.max(0, Math.min(10, level));
+  }
+  
+  setPressureCurve(curve) {
+    if (!(curve in this.PRESSURE_CURVES)) return;
+    this.pressureCurve = curve;
+  }
+  
+  setPressureOpacity(enabled) {
+    this.pressureOpacity = !!enabled;
+  }
+  
+  setLineWidth(width) {
+    this.lineWidth = width;
+    if (this.textEditing) {
+      this.textEditing.fontSize = width * this.TEXT_SIZE_FACTOR;
+      this.textEditor.setStyle({ fontSize: this.textEditing.fontSize });
+    }
+    if (this.onStateChange) this.onStateChange('width', width);
+  }
+  
+  getDrawingLayers() {
+    return this.drawingLayers.list();
+  }
+  
+  setActiveLayer(layerId) {
+    if (!this.drawingLayers.get(layerId)) return;
+    this.activeLayerId = layerId;
+    if (this.onStateChange) this.onStateChange('layers', this.getDrawingLayers());
+  }
+  
+  // New content can't go onto a hidden or locked layer; onStateChange lets the UI say why
+  checkActiveLayerEditable() {
+    if (this.drawingLayers.isEditable(this.activeLayerId)) return true;
+    if (this.onStateChange) this.onStateChange('layer-locked', this.drawingLayers.get(this.activeLayerId));
+    return false;
+  }
+  
+  addDrawingLayer(name) {
+    const layer = {
+      id: createLayerId(),
+      name,
+      order: this.drawingLayers.nextOrder(),
+      visible: true,
+      opacity: 1,
+      locked: false,
+      blend: 'normal'
+    };
+    this.commitDrawingLayer(layer);
+    this.setActiveLayer(layer.id);
+    return layer;
+  }
+  
+  // changes: any of name, visible, opacity, locked, blend, order
+  updateDrawingLayer(layerId, changes) {
+    const layer = this.drawingLayers.get(layerId);
+    if (layer) this.commitDrawingLayer({ ...layer, ...changes });
+  }
+  
+  // direction: 1 moves the layer up the stack, -1 down
+  moveDrawingLayer(layerId, direction) {
+    const order = this.drawingLayers.orderAfterMove(layerId, direction);
+    if (order !== null) this.updateDrawingLayer(layerId, { order });
+  }
+  
+  // Layer edits are sent as 'layer' operations; the clock they are sent with versions them
+  commitDrawingLayer(layer) {
+    const { clock, userId, ...definition } = layer;
+    const stamped = this.emitOperation('layer', { definition });
+    this.mergeDrawingLayer(definition, stamped.clock, this.userId);
+  }
+  
+  mergeDrawingLayer(definition, clock, userId) {
+    if (!definition || typeof definition.id !== 'string') return;
+    if (!this.drawingLayers.merge({ ...definition, clock: clock || 0, userId: userId || '' })) return;
+    
+    this.stateDirty = true;
+    this.composeLayers();
+    if (this.onStateChange) this.onStateChange('layers', this.getDrawingLayers());
+  }
+  
+  // Topmost of our own visible text operations under a document position.
+  // Moved text comes back as a copy carrying its matrix, so the point is tested in text space.
+  findTextAt(pos) {
+    const operations = visibleOperations(this.operations);
+    for (let i = operations.length - 1; i >= 0; i--) {
+      const op = operations[i];
+      if (op.tool !== 'text' || !op.text || !this.drawingLayers.isEditable(operationLayer(op))) continue;
+      
+      const local = op.matrix ? transformPoint(invertMatrix(op.matrix), pos) : pos;
+      const box = measureText(op);
+      if (local.x >= box.x && local.x <= box.x + box.width && local.y >= box.y && local.y <= box.y + box.height) {
+        return op;
+      }
+    }
+    return null;
+  }
+  
+  // Clicking our own text edits it in place; clicking anywhere else starts a new text
+  openTextEditor(pos) {
+    if (this.textEditor.isOpen()) this.textEditor.commit();
+    
+    const found = this.findTextAt(pos);
+    // Copies made by duplicating only exist in the replayed log, so those are edited through the copy
+    const existing = found && (findOperation(this.operations, found.id) || found);
+    if (!existing && !this.checkActiveLayerEditable()) return;
+    
+    // The edit keeps the original's position and layer and inherits its transform, so it stays where it was moved
+    this.textEditing = existing
+      ? { pos: existing.points[0], color: existing.color, fontSize: existing.fontSize, replaces: existing.id, original: existing, matrix: found.matrix || null, layer: operationLayer(existing) }
+      : { pos, color: this.strokeColor, fontSize: this.lineWidth * this.TEXT_SIZE_FACTOR, replaces: null, original: null, matrix: null, layer: this.activeLayerId };
+    
+    if (existing) {
+      existing.editing = true;
+      this.redrawUserLayer();
+    }
+    
+    this.textEditor.open(
+      { text: existing ? existing.text : '', color: this.textEditing.color, fontSize: this.textEditing.fontSize },
+      { x: 0, y: 0 },
+      this.view.scale
+    );
+    this.positionTextEditor();
+  }
+  
+  // The editor can't rotate, so transformed text is edited upright at its moved position and size
+  positionTextEditor() {
+    const { pos, matrix } = this.textEditing;
+    const anchor = matrix ? transformPoint(matrix, pos) : pos;
+    const scale = this.view.scale * (matrix ? matrixScale(matrix) : 1);
+    this.textEditor.setPosition(this.documentToScreen(anchor), scale);
+  }
+  
+  closeTextEditing() {
+    const editing = this.textEditing;
+    this.textEditing = null;
+    if (editing && editing.original) {
+      delete editing.original.editing;
+      this.redrawUserLayer();
+    }
+    return editing;
+  }
+  
+  commitText(text) {
+    const editing = this.closeTextEditing();
+    if (!editing) return;
+    
+    const original = editing.original;
+    if (!original && !text.trim()) return;
+    if (original && original.text === text && original.color === editing.color && original.fontSize === editing.fontSize) return;
+    
+    const op = {
+      id: createOperationId(),
+      tool: 'text',
+      color: editing.color,
+      fontSize: editing.fontSize,
+      text,
+      points: [editing.pos],
+      replaces: editing.replaces,
+      layer: editing.layer
+    };
+    this.operations.push(op);
+    this.recordOperation(op);
+    this.redrawUserLayer();
+    
+    this.emitOperation('draw', {
+      type: 'text',
+      strokeId: op.id,
+      color: op.color,
+      fontSize: op.fontSize,
+      text: op.text,
+      points: op.points,
+      replaces: op.replaces,
+      layer: op.layer
+    });
+  }
+  
+  // Record an operation that is already in our log and broadcast it as one message
+  commitOperation(op, message) {
+    this.recordOperation(op);
+    this.redrawUserLayer();
+    this.emitOperation('draw', { strokeId: op.id, ...message });
+  }
+  
+  // A new operation invalidates the redo history; drop the abandoned operations from the log
+  recordOperation(op) {
+    if (this.redoStack.length > 0) {
+      const discarded = new Set(this.redoStack);
+      this.operations = this.operations.filter(o => !discarded.has(o.id));
+      this.redoStack.length = 0;
+    }
+    this.undoStack.push(op.id);
+    this.history.recordOperation(null, op);
+  }
+  
+  // Undo hides the most recent operation and replays the log; peers are told which one.
+  // Undo and redo wait for a transform drag to finish, since its provisional operation is in the log.
+  undo() {
+    if (this.isReadOnly() || this.selection.isTransforming() || this.undoStack.length === 0) return false;
+    
+    const id = this.undoStack.pop();
+    this.setOperationHidden(this.operations, id, true);
+    this.history.recordToggle(null, id, true);
+    this.redoStack.push(id);
+    this.redrawUserLayer();
+    
+    this.emitOperation('undo', { strokeId: id });
+    return true;
+  }
+  
+  redo() {
+    if (this.isReadOnly() || this.selection.isTransforming() || this.redoStack.length === 0) return false;
+    
+    const id = this.redoStack.pop();
+    this.setOperationHidden(this.operations, id, false);
+    this.history.recordToggle(null, id, false);
+    this.undoStack.push(id);
+    this.redrawUserLayer();
+    
+    this.emitOperation('redo', { strokeId: id });
+    return true;
+  }
+  
+  setOperationHidden(operations, id, hidden) {
+    const op = findOperation(operations, id);
+    if (!op) return false;
+    op.hidden = hidden;
+    return true;
+  }
+  
+  // Our own edits tend to come in runs (drags, undo), so our part of the layers is kept live
+  redrawUserLayer() {
+    const layer = this.getOwnLayer();
+    if (this.isDisplayed(layer)) this.surfaces.refreshUser(layer, true);
+    this.composeLayers();
+  }
+  
+  // Clearing is an operation too, so it can be undone like a stroke
+  clear() {
+    if (this.isReadOnly()) return;
+    const op = { id: createOperationId(), tool: 'clear' };
+    this.operations.push(op);
+    this.recordOperation(op);
+    this.redrawUserLayer();
+    
+    this.emitOperation('clear', { strokeId: op.id });
+  }
+  
+  clearRemoteCanvas(userId, strokeId) {
+    // Clear only a specific user's remote canvas (when they clear their drawings)
+    if (!userId) {
+      log.warn('clearRemoteCanvas called without userId');
+      return;
+    }
+    
+    const remoteCanvas = this.getOrCreateRemoteCanvas(userId);
+    this.pushRemoteOperation(remoteCanvas, { id: strokeId || createOperationId(), tool: 'clear' });
+    this.replayUserLayer(remoteCanvas);
+    this.composeLayers();
+  }
+  
+  removeRemoteUser(userId) {
+    // Remove a user's canvas when they leave
+    this.conflictResolver.forgetUser(userId);
+    this.userDisplay.delete(userId);
+    if (this.isSoloed(userId)) this.soloUser = null;
+    if (this.remoteCanvases.has(userId)) {
+      this.remoteCanvases.delete(userId);
+      this.surfaces.forgetUser(userId);
+      this.stateDirty = true;
+      this.composeLayers();
+    }
+  }
+  
+  // Hide or restore one of a remote user's operations (for undo/redo sync) and replay their log
+  setRemoteOperationHidden(userId, strokeId, hidden) {
+    if (!userId || !strokeId) {
+      log.warn('setRemoteOperationHidden called with invalid parameters', { userId, strokeId });
+      return;
+    }
+    
+    const remoteCanvas = this.remoteCanvases.get(userId);
+    if (!remoteCanvas || !this.setOperationHidden(remoteCanvas.operations, strokeId, hidden)) return;
+    this.history.recordToggle(userId, strokeId, hidden);
+    
+    this.replayUserLayer(remoteCanvas);
+    this.composeLayers();
+  }
+  
+  // Visible drawing layers bottom to top, each with the operations every user drew on it.
+  // userLayers defaults to the live logs; the time-lapse passes logs from the history instead.
+  getExportLayers(getLayerName = (userId) => userId || 'You', userLayers = this.getLayers()) {
+    const layers = [];
+    for (const drawingLayer of this.drawingLayers.list()) {
+      if (!drawingLayer.visible || drawingLayer.opacity === 0) continue;
+      const groups = userLayers
+        .map(layer => ({ name: getLayerName(layer.userId), operations: layerOperations(layer.operations, drawingLayer.id) }))
+        .filter(group => group.operations.length > 0);
+      const { name, opacity, blend } = drawingLayer;
+      layers.push({ name, opacity, blend, groups });
+    }
+    return layers;
+  }
+  
+  // Export the document area plus anything drawn outside it, independent of the current view
+  getExportBounds(layers = this.getExportLayers()) {
+    let minX = 0, minY = 0;
+    let maxX = this.documentWidth, maxY = this.documentHeight;
+    
+    // Bounds are computed per user since a clear only wipes their own operations
+    for (const group of layers.flatMap(layer => layer.groups)) {
+      const bounds = getOperationsBounds(group.operations);
+      if (!bounds) continue;
+      minX = Math.min(minX, bounds.x);
+      minY = Math.min(minY, bounds.y);
+      maxX = Math.max(maxX, bounds.x + bounds.width);
+      maxY = Math.max(maxY, bounds.y + bounds.height);
+    }
+    
+    const x = Math.floor(minX);
+    const y = Math.floor(minY);
+    return { x, y, width: Math.ceil(maxX - x), height: Math.ceil(maxY - y) };
+  }
+  
+  download(filename = 'canvas.png') {
+    const layers = this.getExportLayers();
+    const bounds = this.getExportBounds(layers);
+    // Stay within what browsers can encode when content is spread far apart
+    const scale = Math.min(1, Math.sqrt(this.MAX_EXPORT_PIXELS / (bounds.width * bounds.height)));
+    const canvas = this.renderExport(layers, bounds, scale);
+    this.saveFile(canvas.toDataURL('image/png'), filename);
+  }
+  
+  // Flatten export layers onto a new canvas covering bounds at the given scale
+  renderExport(layers, bounds, scale) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    canvas.width = Math.ceil(bounds.width * scale);
+    canvas.height = Math.ceil(bounds.height * scale);
+    
+    // Each user's operations are replayed separately so eraser strokes only affect their own,
+    // then every drawing layer is flattened and blended like on screen
+    const createCanvas = () => {
+      const layerCanvas = document.createElement('canvas');
+      layerCanvas.width = canvas.width;
+      layerCanvas.height = canvas.height;
+      return layerCanvas;
+    };
+    const layerCanvas = createCanvas();
+    const layerCtx = layerCanvas.getContext('2d', { alpha: true });
+    const groupCanvas = createCanvas();
+    const groupCtx = groupCanvas.getContext('2d', { alpha: true });
+    groupCtx.setTransform(scale, 0, 0, scale, -bounds.x * scale, -bounds.y * scale);
+    
+    for (const layer of layers) {
+      layerCtx.clearRect(0, 0, canvas.width, canvas.height);
+      for (const group of layer.groups) {
+        replayOperations(groupCtx, group.operations);
+        layerCtx.drawImage(groupCanvas, 0, 0);
+      }
+      ctx.globalAlpha = layer.opacity;
+      ctx.globalCompositeOperation = blendOperation(layer.blend);
+      ctx.drawImage(layerCanvas, 0, 0);
+    }
+    ctx.globalAlpha = 1;
+    ctx.globalCompositeOperation = 'source-over';
+    return canvas;
+  }
+  
+  // Users who appear in the room history, for choosing whose drawings go into a time-lapse
+  getHistoryUsers() {
+    return [...new Set(this.history.entries.map(entry => entry.userId))];
+  }
+  
+  // Animated GIF of the room history, paced like the timeline playback and spread over at most
+  // MAX_TIMELAPSE_FRAMES frames. size caps the longer side in pixels; userIds limits whose drawings
+  // are shown (null for everyone). Resolves to false when there is nothing to export.
+  async exportTimelapse({ fps = 10, size = 480, userIds = null, onProgress = null } = {}) {
+    // Entries recorded while the export runs are left out, so frames step through a fixed list
+    const entries = this.history.entries.slice();
+    if (entries.length === 0) return false;
+    const times = this.history.playbackTimes();
+    
+    const finalLayers = [...this.history.logsAt(entries.length)]
+      .filter(([userId]) => !userIds || userIds.includes(userId))
+      .map(([userId, operations]) => ({ userId, operations }));
+    const bounds = this.getExportBounds(this.getExportLayers(undefined, finalLayers));
+    const scale = Math.min(1, size / Math.max(bounds.width, bounds.height));
+    const layers = this.drawingLayers.list().filter(layer => layer.visible && layer.opacity > 0);
+    const renderer = new TimelapseRenderer(this.history, entries, { layers, bounds, scale, userIds });
+    
+    const encoder = new GifEncoder(renderer.width, renderer.height);
+    const duration = times[times.length - 1];
+    const frameCount = Math.min(this.MAX_TIMELAPSE_FRAMES, entries.length);
+    let count = 0;
+    for (let i = 1; i <= frameCount; i++) {
+      const time = duration * i / frameCount;
+      while (count < entries.length && (times[count] <= time || i === frameCount)) count++;
+      
+      renderer.advance(count);
+      const frameCtx = renderer.render();
+      // The finished drawing stays up a little before the animation loops
+      const delay = 1000 / fps + (i === frameCount ? this.TIMELAPSE_END_HOLD_MS : 0);
+      encoder.addFrame(frameCtx.getImageData(0, 0, renderer.width, renderer.height).data, delay);
+      
+      if (onProgress) onProgress(i / frameCount);
+      // Let the page repaint between frames
+      await new Promise(resolve => setTimeout(resolve));
+    }
+    renderer.dispose();
+    
+    const url = URL.createObjectURL(new Blob([encoder.finish()], { type: 'image/gif' }));
+    this.saveFile(url, 'timelapse.gif');
+    return true;
+  }
+  
+  // Vector exports are generated from the operation logs, one group per drawing layer holding one per user.
+  // getLayerName maps a userId (null for ourselves) to a readable name.
+  exportVector(format, getLayerName = (userId) => userId || 'You') {
+    const layers = this.getExportLayers(getLayerName);
+    const bounds = this.getExportBounds(layers);
+    
+    if (format === 'svg') {
+      const svg = exportSVG(layers, bounds);
+      this.saveFile(URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' })), 'canvas.svg');
+    } else if (format === 'pdf') {
+      const pdf = exportPDF(layers, bounds);
+      this.saveFile(URL.createObjectURL(new Blob([pdf], { type: 'application/pdf' })), 'canvas.pdf');
+    }
+  }
+  
+  saveFile(url, filename) {
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    if (url.startsWith('blob:')) {
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+  }
+  
+  // Every outgoing operation carries the next Lamport clock value
+  emitOperation(type, data) {
+    this.stateDirty = true;
+    const stamped = this.conflictResolver.stamp(data);
+    if (this.onStateChange) this.onStateChange(type, stamped);
+    return stamped;
+  }
+  
+  // Stroke metadata is only sent with 'start'; peers look it up by strokeId afterwards
+  emitDrawEvent(type, pos, extra = {}) {
+    const stroke = this.currentStroke;
+    const metadata = type === 'start'
+      ? { mode: stroke.tool, color: stroke.color, width: stroke.width, pressureOpacity: stroke.pressureOpacity, layer: stroke.layer }
+      : {};
+    this.emitOperation('draw', { type, strokeId: stroke.id, pos, ...metadata, ...extra });
+  }
+  
+  // Operations queued while offline are checked once the room's state has arrived. kind is 'draw',
+  // 'undo', 'redo', 'clear' or 'layer'. Edits of operations that are no longer in our log are
+  // dropped (or keep the targets that remain), and so are layer changes someone else overrode
+  // meanwhile. The rest get a fresh clock, so peers order them after everything the room did while
+  // we were away. Returns null for an operation that should not be sent.
+  reconcileOperation(kind, data) {
+    const reconciled = kind === 'draw' ? this.reconcileDrawing(data)
+      : kind === 'layer' ? this.reconcileLayer(data)
+      : kind === 'undo' || kind === 'redo' ? (this.isOwnOperation(data.strokeId) ? data : null)
+      : data;
+    if (!reconciled) return null;
+    
+    const stamped = this.conflictResolver.stamp(reconciled);
+    // Our version of the layer has to carry the clock it is sent with, or we'd disagree with peers
+    if (kind === 'layer') this.mergeDrawingLayer(data.definition, stamped.clock, this.userId);
+    return stamped;
+  }
+  
+  reconcileLayer(data) {
+    const current = this.drawingLayers.get(data.definition.id);
+    return current && current.userId === this.userId && current.clock === data.clock ? data : null;
+  }
+  
+  reconcileDrawing(data) {
+    if (data.type === 'transform' || data.type === 'delete') {
+      const targets = data.targets.filter(id => this.isOwnOperation(id));
+      return targets.length > 0 ? { ...data, targets } : null;
+    }
+    if (data.type === 'duplicate') {
+      const items = data.items.filter(item => this.isOwnOperation(item.source));
+      return items.length > 0 ? { ...data, items } : null;
+    }
+    return this.isOwnOperation(data.strokeId) ? data : null;
+  }
+  
+  // Whether an id is in our log, either as an operation or as a copy made by a duplicate
+  isOwnOperation(id) {
+    return !!findOperation(this.operations, id) ||
+      this.operations.some(op => op.tool === 'duplicate' && op.items.some(item => item.id === id));
+  }
+  
+  // Entry point for draw/undo/redo/clear/layer events received from peers
+  receiveRemoteOperation(kind, data) {
+    this.conflictResolver.receive(kind, data);
+  }
+  
+  applyRemoteOperation(kind, data) {
+    const layer = this.remoteCanvases.get(data.userId);
+    if (layer && typeof data.clock === 'number') {
+      // Already part of the snapshot this layer was loaded from
+      if (layer.baseClock !== null && data.clock <= layer.baseClock) return;
+      layer.clock = Math.max(layer.clock, data.clock);
+    }
+    
+    this.stateDirty = true;
+    if (kind === 'draw') {
+      this.applyRemoteDrawing(data);
+    } else if (kind === 'undo') {
+      this.setRemoteOperationHidden(data.userId, data.strokeId, true);
+    } else if (kind === 'redo') {
+      this.setRemoteOperationHidden(data.userId, data.strokeId, false);
+    } else if (kind === 'clear') {
+      this.clearRemoteCanvas(data.userId, data.strokeId);
+    } else if (kind === 'layer') {
+      this.mergeDrawingLayer(data.definition, data.clock, data.userId);
+    }
+  }
+  
+  pushRemoteOperation(remoteCanvas, op) {
+    remoteCanvas.operations.push(op);
+    this.history.recordOperation(remoteCanvas.userId, op);
+  }
+  
+  hasRemoteOperation(userId, strokeId) {
+    const remoteCanvas = this.remoteCanvases.get(userId);
+    return !!remoteCanvas && !!findOperation(remoteCanvas.operations, strokeId);
+  }
+  
+  getConflictInfo() {
+    return this.conflictResolver.getInfo();
+  }
+  
+  // Draw remote user strokes on their separate canvas layer (including eraser strokes)
+  applyRemoteDrawing(drawData) {
+    const { type, strokeId, pos, mode, color, width, userId, layer } = drawData;
+    
+    if (!userId || !strokeId) {
+      log.warn('Drawing data missing userId or strokeId:', drawData);
+      return;
+    }
+    
+    const remoteCanvas = this.getOrCreateRemoteCanvas(userId);
+    
+    if (type === 'image') {
+      if (!isImageDataUrl(drawData.src)) {
+        log.warn('Ignoring image with invalid or oversized data from:', userId);
+        return;
+      }
+      const { x, y } = drawData;
+      const op = { id: strokeId, tool: 'image', src: drawData.src, image: null, x, y, width, height: drawData.height, layer };
+      this.pushRemoteOperation(remoteCanvas, op);
+      loadImage(op.src).then((img) => {
+        op.image = img;
+        this.replayUserLayer(remoteCanvas);
+        this.composeLayers();
+      }).catch(() => {
+        log.error('Failed to load image from:', userId);
+      });
+      return;
+    }
+    
+    if (type === 'text') {
+      this.pushRemoteOperation(remoteCanvas, {
+        id: strokeId,
+        tool: 'text',
+        color,
+        fontSize: drawData.fontSize,
+        text: drawData.text,
+        points: drawData.points,
+        replaces: drawData.replaces || null,
+        layer
+      });
+      this.replayUserLayer(remoteCanvas);
+      this.composeLayers();
+      return;
+    }
+    
+    // Selection edits only refer to earlier operations, so the layer is simply replayed
+    if (type === 'transform' || type === 'delete') {
+      this.pushRemoteOperation(remoteCanvas, { id: strokeId, tool: type, targets: drawData.targets, matrix: drawData.matrix });
+      this.replayUserLayer(remoteCanvas);
+      this.composeLayers();
+      return;
+    }
+    
+    if (type === 'duplicate') {
+      this.pushRemoteOperation(remoteCanvas, { id: strokeId, tool: 'duplicate', items: drawData.items });
+      this.replayUserLayer(remoteCanvas);
+      this.composeLayers();
+      return;
+    }
+    
+    if (type === 'shape') {
+      const op = { id: strokeId, tool: mode, color, width, points: drawData.points, layer };
+      this.pushRemoteOperation(remoteCanvas, op);
+      this.drawToSurface(remoteCanvas, op);
+      this.composeLayers();
+      return;
     }
     
     if (type === 'start') {
-      ctx.beginPath();
-      ctx.moveTo(pos.x, pos.y);
-    } else if (type === 'move') {
-      ctx.lineTo(pos.x, pos.y);
-      ctx.stroke();
+      this.pushRemoteOperation(remoteCanvas, { id: strokeId, tool: mode, color, width, pressureOpacity: !!drawData.pressureOpacity, points: [pos], layer });
+      return;
+    }
+    
+    const op = findOperation(remoteCanvas.operations, strokeId);
+    if (!op) return;
+    
+    if (type === 'move') {
+      op.points.push(pos);
+      this.drawToSurface(remoteCanvas, op, op.points.length - 2);
+      this.invalidateStrokePiece(op, op.points.length - 2);
+    } else if (type === 'end' && Array.isArray(drawData.points) && drawData.points.length > 0) {
+      // Older clients stream every point and follow up with the simplified ones
+      op.points = drawData.points;
+      this.replayUserLayer(remoteCanvas);
       this.composeLayers();
     } else if (type === 'end') {
-      ctx.closePath();
+      if (pos) {
+        op.points.push(pos);
+        this.drawToSurface(remoteCanvas, op, op.points.length - 2);
+        this.invalidateStrokePiece(op, op.points.length - 2);
+      }
+      this.drawToSurface(remoteCanvas, op, op.points.length - 1);
+      this.invalidateStrokePiece(op, op.points.length - 1);
+    }
+  }
+  
+  // Every layer we know, tagged by user, with the clock it is complete up to. Draw events are
+  // flushed before a snapshot is sent, so peers can drop live events the snapshot already contains.
+  getRoomSnapshot() {
+    const provisional = this.selection.drag && this.selection.drag.op;
+    const layers = [{
+      userId: this.userId,
+      clock: this.conflictResolver.clock,
+      operations: serializeOperations(this.operations.filter(op => op !== provisional))
+    }];
+    for (const layer of this.remoteCanvases.values()) {
+      layers.push({ userId: layer.userId, clock: layer.clock, operations: serializeOperations(layer.operations) });
+    }
+    return { layers, drawingLayers: this.getDrawingLayers() };
+  }
+  
+  // Rebuild remote layers from a peer's snapshot. The sender's own layer replaces ours unless we already
+  // loaded one at least as recent; layers it relays for other users only replace older copies.
+  loadRoomSnapshot(snapshot, senderId) {
+    if (!snapshot || !Array.isArray(snapshot.layers)) return;
+    
+    for (const definition of snapshot.drawingLayers || []) {
+      this.mergeDrawingLayer(definition, definition.clock, definition.userId);
+    }
+    
+    for (const { userId, clock = 0, operations } of snapshot.layers) {
+      if (!userId || userId === this.userId || !Array.isArray(operations)) continue;
+      this.conflictResolver.clock = Math.max(this.conflictResolver.clock, clock);
+      
+      const existing = this.remoteCanvases.get(userId);
+      if (existing) {
+        const loaded = existing.baseClock !== null && existing.baseClock >= clock;
+        if (userId === senderId ? loaded : Math.max(existing.clock, existing.baseClock || 0) >= clock) continue;
+      }
+      
+      const remoteCanvas = this.getOrCreateRemoteCanvas(userId);
+      remoteCanvas.operations = this.reviveOperations(operations, () => {
+        this.replayUserLayer(remoteCanvas);
+        this.composeLayers();
+      });
+      remoteCanvas.baseClock = clock;
+      remoteCanvas.clock = Math.max(remoteCanvas.clock, clock);
+      this.recordHistory(userId, remoteCanvas.operations);
+      this.replayUserLayer(remoteCanvas);
+    }
+    
+    // Live events that arrived ahead of the strokes they continue can be applied now
+    this.conflictResolver.releaseKnown();
+    this.stateDirty = true;
+    this.composeLayers();
+  }
+  
+  // Raster room state from the old protocol becomes the base of the sender's layer, never of ours.
+  // A newer raster replaces the previous one, including one restored from the local save.
+  loadCanvasData(dataUrl, userId = 'room') {
+    if (userId === this.userId) return;
+    
+    const img = new Image();
+    img.onload = () => {
+      const remoteCanvas = this.getOrCreateRemoteCanvas(userId);
+      // Keeping the previous raster's id makes the timeline replace its entry instead of adding one
+      const previous = remoteCanvas.operations.find(op => op.tool === 'snapshot');
+      remoteCanvas.operations = remoteCanvas.operations.filter(op => op.tool !== 'snapshot');
+      const op = {
+        id: previous ? previous.id : createOperationId(),
+        tool: 'snapshot',
+        src: dataUrl,
+        image: img,
+        x: 0,
+        y: 0,
+        width: this.documentWidth,
+        height: this.documentHeight
+      };
+      remoteCanvas.operations.unshift(op);
+      this.history.recordOperation(userId, op);
+      this.stateDirty = true;
+      this.replayUserLayer(remoteCanvas);
       this.composeLayers();
+    };
+    img.onerror = () => {
+      log.error('Failed to apply canvas data');
+    };
+    img.src = dataUrl;
+  }
+  
+  // Save the room every few seconds while it changes, and once more when the page is hidden
+  enableAutosave(roomId) {
+    this.roomId = roomId;
+    clearInterval(this.autosaveTimer);
+    this.autosaveTimer = setInterval(() => this.saveRoomState(), this.AUTOSAVE_INTERVAL_MS);
+    window.addEventListener('pagehide', () => this.saveRoomState());
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) this.saveRoomState();
+    });
+  }
+  
+  saveRoomState() {
+    if (!this.roomId || !this.stateDirty) return;
+    // Half-drawn strokes and provisional selection transforms are saved once they are committed
+    if (this.drawing || this.selection.drag) return;
+    
+    this.stateDirty = false;
+    const record = {
+      roomId: this.roomId,
+      userId: this.userId,
+      savedAt: Date.now(),
+      clock: this.conflictResolver.clock,
+      operations: serializeOperations(this.operations),
+      undoStack: [...this.undoStack],
+      redoStack: [...this.redoStack],
+      drawingLayers: this.getDrawingLayers(),
+      remoteLayers: [...this.remoteCanvases.values()].map(layer => ({
+        userId: layer.userId,
+        operations: serializeOperations(layer.operations)
+      }))
+    };
+    
+    saveRoom(record).then(() => {
+      if (this.onAutosave) this.onAutosave(summarizeRoom(record));
+    }).catch((error) => {
+      log.warn('Failed to save room locally:', error);
+    });
+  }
+  
+  // Rebuild the room from its local save before the server answers; resolves to false if there is none.
+  // Anything drawn or received while the save was loading stays on top of it. A save made under another
+  // userId (another session, or another app in the page) is that user's layer, not ours to undo or edit.
+  async restoreRoomState(roomId) {
+    let record;
+    try {
+      record = await loadRoom(roomId);
+    } catch (error) {
+      log.warn('Failed to load local save:', error);
+      return false;
     }
+    if (!record) return false;
+    
+    const remoteLayers = [...record.remoteLayers];
+    if (record.userId === this.userId) {
+      this.operations = [...this.reviveOperations(record.operations, () => this.redrawUserLayer()), ...this.operations];
+      this.recordHistory(null, record.operations);
+      this.undoStack = [...record.undoStack, ...this.undoStack];
+      this.redoStack = this.undoStack.length > record.undoStack.length ? [] : [...record.redoStack];
+    } else if (record.userId) {
+      remoteLayers.push({ userId: record.userId, operations: record.operations });
+    }
+    
+    for (const { userId, operations } of remoteLayers) {
+      // Our own strokes as saved by another session come back from the room without its undo history
+      if (userId === this.userId) continue;
+      // The room is joined without waiting for the save, so a peer's snapshot may have come first;
+      // it is newer than our copy of that layer
+      const existing = this.remoteCanvases.get(userId);
+      if (existing && existing.baseClock !== null) continue;
+      const remoteCanvas = this.getOrCreateRemoteCanvas(userId);
+      const known = new Set(remoteCanvas.operations.map(op => op.id));
+      const restored = this.reviveOperations(operations.filter(op => !known.has(op.id)), () => {
+        this.replayUserLayer(remoteCanvas);
+        this.composeLayers();
+      });
+      remoteCanvas.operations = [...restored, ...remoteCanvas.operations];
+      this.recordHistory(userId, restored);
+    }
+    
+    for (const definition of record.drawingLayers || []) {
+      this.mergeDrawingLayer(definition, definition.clock, definition.userId);
+    }
+    
+    this.conflictResolver.clock = Math.max(this.conflictResolver.clock, record.clock || 0);
+    this.renderLayers();
+    return true;
   }
   
-  getCanvasData() {
-    return this.userCanvas.toDataURL();
+  // Operations loaded from a snapshot or save keep the time they were first drawn at
+  recordHistory(userId, operations) {
+    for (const op of operations) {
+      this.history.recordOperation(userId, op);
+    }
   }
   
-  loadCanvasData(dataUrl) {
-    this.applyDataUrl(dataUrl);
+  // Saved image and snapshot operations only have their data URL; decode it and redraw the layer
+  reviveOperations(operations, redraw) {
+    for (const op of operations) {
+      if ((op.tool === 'image' || op.tool === 'snapshot') && op.src) {
+        op.image = null;
+        loadImage(op.src).then((img) => {
+          op.image = img;
+          redraw();
+        }).catch(() => {
+          log.error('Failed to load saved image');
+        });
+      }
+    }
+    return operations;
   }
 }
@@ -0,0 +1,148 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('conflict');
+
+// Orders remote operations with a Lamport clock before they reach the canvas.
+// Every outgoing operation is stamped with the local clock; incoming operations are
+// held for a short window, sorted by (clock, userId) and applied in that order.
+// Operations that refer to a stroke we have not seen yet (e.g. a 'move' that overtook
+// its 'start') are buffered until the stroke shows up.
+export class ConflictResolver {
+  constructor({ apply, isKnown }) {
+    this.apply = apply;
+    this.isKnown = isKnown;
+
+    this.clock = 0;
+    this.queue = [];
+    // Waiting operations, keyed by `${userId}:${strokeId}`
+    this.buffered = new Map();
+    this.flushTimer = null;
+    this.expiryTimer = null;
+
+    this.ORDERING_WINDOW_MS = 30;
+    this.BUFFER_TIMEOUT_MS = 5000;
+  }
+
+  // Advance the clock for a local operation and attach it to the payload
+  stamp(data) {
+    this.clock += 1;
+    return { ...data, clock: this.clock };
+  }
+
+  receive(kind, data) {
+    const clock = typeof data.clock === 'number' ? data.clock : 0;
+    this.clock = Math.max(this.clock, clock) + 1;
+
+    const entry = { kind, data, clock, receivedAt: Date.now() };
+    let i = this.queue.length;
+    while (i > 0 && compareEntries(this.queue[i - 1], entry) > 0) i--;
+    this.queue.splice(i, 0, entry);
+
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.ORDERING_WINDOW_MS);
+  }
+
+  flush() {
+    const entries = this.queue;
+    this.queue = [];
+
+    for (const entry of entries) {
+      this.process(entry);
+    }
+
+    this.expireBuffered();
+  }
+
+  process(entry) {
+    const { kind, data } = entry;
+
+    if (this.dependsOnStroke(kind, data) && !this.isKnown(data.userId, data.strokeId)) {
+      const key = strokeKey(data.userId, data.strokeId);
+      if (!this.buffered.has(key)) this.buffered.set(key, []);
+      this.buffered.get(key).push(entry);
+      return;
+    }
+
+    this.apply(kind, data);
+
+    // A stroke (or clear) just became known; release anything that was waiting for it
+    const key = strokeKey(data.userId, data.strokeId);
+    if (this.buffered.has(key) && this.isKnown(data.userId, data.strokeId)) {
+      const waiting = this.buffered.get(key).sort(compareEntries);
+      this.buffered.delete(key);
+      for (const waitingEntry of waiting) {
+        this.process(waitingEntry);
+      }
+    }
+  }
+
+  // Stroke moves/ends and undo/redo refer to an earlier operation; starts, shapes and clears don't
+  dependsOnStroke(kind, data) {
+    if (!data.strokeId) return false;
+    if (kind === 'draw') return data.type === 'move' || data.type === 'end';
+    return kind === 'undo' || kind === 'redo';
+  }
+
+  // Give up on operations whose stroke never arrived (e.g. drawn before we joined)
+  expireBuffered() {
+    const now = Date.now();
+    for (const [key, entries] of this.buffered) {
+      if (now - entries[0].receivedAt > this.BUFFER_TIMEOUT_MS) {
+        log.warn('Dropping buffered operations for unknown stroke:', key);
+        this.buffered.delete(key);
+      }
+    }
+    if (this.buffered.size > 0 && !this.expiryTimer) {
+      this.expiryTimer = setTimeout(() => {
+        this.expiryTimer = null;
+        this.expireBuffered();
+      }, 1000);
+    }
+  }
+
+  // Strokes can also become known outside the queue (e.g. from a room snapshot); release what waited for them
+  releaseKnown() {
+    for (const [key, entries] of this.buffered) {
+      const { userId, strokeId } = entries[0].data;
+      if (!this.isKnown(userId, strokeId)) continue;
+      this.buffered.delete(key);
+      for (const entry of entries.sort(compareEntries)) {
+        this.process(entry);
+      }
+    }
+  }
+
+  forgetUser(userId) {
+    this.queue = this.queue.filter(entry => entry.data.userId !== userId);
+    for (const key of this.buffered.keys()) {
+      if (key.startsWith(userId + ':')) this.buffered.delete(key);
+    }
+  }
+
+  getInfo() {
+    return {
+      queueLength: this.queue.length,
+      bufferedStrokes: this.buffered.size,
+      lamportClock: this.clock
+    };
+  }
+}
+
+function strokeKey(userId, strokeId) {
+  return `${userId}:${strokeId}`;
+}
+
+// Lamport order, with the user id as a deterministic tie-breaker
+function compareEntries(a, b) {
+  if (a.clock !== b.clock) return a.clock - b.clock;
+  const userA = a.data.userId || '';
+  const userB = b.data.userId || '';
+  return userA < userB ? -1 : userA > userB ? 1 : 0;
+}
@@ -0,0 +1,442 @@
+import {
+  visibleOperations,
+  isShapeTool,
+  strokeRuns,
+  arrowHeadPoints,
+  TEXT_LINE_HEIGHT
+} from './operations.js';
+
+// Vector export of the operation logs. Each layer is a drawing layer
+// { name, opacity, blend, groups: [{ name, operations }] } with one group per user; bounds is the
+// document-space rectangle to export. Eraser strokes only mask the content drawn before
+// them in their own group, exactly like destination-out does on the canvas.
+
+const FONT_FAMILY = "Inter, 'Segoe UI', sans-serif";
+// Distance from the top of the em box (canvas 'top' baseline) to the alphabetic baseline
+const TEXT_ASCENT = 0.8;
+
+// Split a layer into runs of drawing operations separated by eraser strokes
+function splitAtErasers(operations) {
+  const runs = [{ operations: [], erasers: [] }];
+  for (const op of visibleOperations(operations)) {
+    const run = runs[runs.length - 1];
+    if (op.tool === 'eraser') {
+      if (op.points && op.points.length >= 2) run.erasers.push(op);
+    } else {
+      if (run.erasers.length > 0) runs.push({ operations: [op], erasers: [] });
+      else run.operations.push(op);
+    }
+  }
+  return runs;
+}
+
+function format(n) {
+  return Number.isInteger(n) ? String(n) : n.toFixed(2);
+}
+
+// Matrix coefficients need more precision than coordinates: they multiply large distances
+function formatMatrix(m) {
+  return m.map(n => String(Math.round(n * 1e6) / 1e6)).join(' ');
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ===== SVG =====
+
+function svgPolyline(points) {
+  return points.map((p, i) => `${i === 0 ? 'M' : 'L'}${format(p.x)} ${format(p.y)}`).join(' ');
+}
+
+function svgStroke(color, width) {
+  return `fill="none" stroke="${escapeXml(color)}" stroke-width="${format(width)}" stroke-linecap="round" stroke-linejoin="round"`;
+}
+
+// Smoothed stroke pieces (see strokePiece) as SVG path data
+function svgPieces(pieces) {
+  let d = `M${format(pieces[0].from.x)} ${format(pieces[0].from.y)}`;
+  for (const { control, to } of pieces) {
+    d += control
+      ? ` Q${format(control.x)} ${format(control.y)} ${format(to.x)} ${format(to.y)}`
+      : ` L${format(to.x)} ${format(to.y)}`;
+  }
+  return d;
+}
+
+// Pressure strokes become one path per run of constant width and opacity
+function svgStrokePaths(op, color) {
+  return strokeRuns(op).map(run => {
+    const opacity = run.alpha < 1 ? ` stroke-opacity="${format(run.alpha)}"` : '';
+    return `<path d="${svgPieces(run.pieces)}" ${svgStroke(color, run.width)}${opacity}/>`;
+  }).join('');
+}
+
+function svgOperation(op) {
+  if (op.matrix) {
+    const body = svgOperation({ ...op, matrix: null });
+    return body && `<g transform="matrix(${formatMatrix(op.matrix)})">${body}</g>`;
+  }
+
+  if (op.tool === 'snapshot' || op.tool === 'image') {
+    const src = op.src || (op.image && op.image.src);
+    if (!src) return '';
+    return `<image href="${escapeXml(src)}" x="${format(op.x)}" y="${format(op.y)}" width="${format(op.width)}" height="${format(op.height)}" preserveAspectRatio="none"/>`;
+  }
+
+  if (op.tool === 'text') {
+    const { x, y } = op.points[0];
+    const lines = op.text.split('\n').map((line, i) => {
+      const baseline = y + i * op.fontSize * TEXT_LINE_HEIGHT + TEXT_ASCENT * op.fontSize;
+      return `<tspan x="${format(x)}" y="${format(baseline)}">${escapeXml(line)}</tspan>`;
+    });
+    return `<text font-family="${escapeXml(FONT_FAMILY)}" font-size="${format(op.fontSize)}" fill="${escapeXml(op.color)}" xml:space="preserve">${lines.join('')}</text>`;
+  }
+
+  if (isShapeTool(op.tool)) {
+    const [a, b] = op.points;
+    const stroke = svgStroke(op.color, op.width);
+    if (op.tool === 'rect') {
+      return `<rect x="${format(Math.min(a.x, b.x))}" y="${format(Math.min(a.y, b.y))}" width="${format(Math.abs(b.x - a.x))}" height="${format(Math.abs(b.y - a.y))}" ${stroke}/>`;
+    }
+    if (op.tool === 'ellipse') {
+      return `<ellipse cx="${format((a.x + b.x) / 2)}" cy="${format((a.y + b.y) / 2)}" rx="${format(Math.abs(b.x - a.x) / 2)}" ry="${format(Math.abs(b.y - a.y) / 2)}" ${stroke}/>`;
+    }
+    let d = svgPolyline([a, b]);
+    if (op.tool === 'arrow') d += ' ' + svgPolyline(arrowHeadPoints(a, b, op.width));
+    return `<path d="${d}" ${stroke}/>`;
+  }
+
+  if (!op.points || op.points.length < 2) return '';
+  return svgStrokePaths(op, op.color);
+}
+
+export function exportSVG(layers, bounds) {
+  const defs = [];
+  const svgGroup = (group, groupId) => {
+    let content = '';
+    splitAtErasers(group.operations).forEach((run, runIndex) => {
+      const body = run.operations.map(svgOperation).filter(Boolean).join('\n');
+      if (body) content += (content ? '\n' : '') + body;
+      if (run.erasers.length === 0) return;
+
+      // Everything drawn so far in this group is wrapped in a mask that cuts out the eraser strokes
+      const maskId = `eraser-${groupId}-${runIndex}`;
+      const cuts = run.erasers.map(op => svgStrokePaths(op, '#000000'));
+      defs.push(
+        `<mask id="${maskId}" maskUnits="userSpaceOnUse" x="${format(bounds.x)}" y="${format(bounds.y)}" width="${format(bounds.width)}" height="${format(bounds.height)}">` +
+        `<rect x="${format(bounds.x)}" y="${format(bounds.y)}" width="${format(bounds.width)}" height="${format(bounds.height)}" fill="#ffffff"/>` +
+        cuts.join('') +
+        '</mask>'
+      );
+      content = `<g mask="url(#${maskId})">\n${content}\n</g>`;
+    });
+    return `<g data-name="${escapeXml(group.name)}">\n${content}\n</g>`;
+  };
+
+  const groups = layers.map((layer, layerIndex) => {
+    const content = layer.groups.map((group, groupIndex) => svgGroup(group, `${layerIndex}-${groupIndex}`)).join('\n');
+    const opacity = layer.opacity < 1 ? ` opacity="${format(layer.opacity)}"` : '';
+    const blend = layer.blend && layer.blend !== 'normal' ? ` style="mix-blend-mode:${layer.blend}"` : '';
+    return `<g id="layer-${layerIndex}" data-name="${escapeXml(layer.name)}"${opacity}${blend}>\n${content}\n</g>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${format(bounds.width)}" height="${format(bounds.height)}" viewBox="${format(bounds.x)} ${format(bounds.y)} ${format(bounds.width)} ${format(bounds.height)}">`,
+    `<defs>${defs.join('\n')}</defs>`,
+    ...groups,
+    '</svg>'
+  ].join('\n');
+}
+
+// ===== PDF =====
+
+// Document pixels are exported at 96 dpi, i.e. 0.75 PDF points each
+const PDF_POINTS_PER_PIXEL = 0.75;
+
+// [r, g, b, alpha] from 0 to 1 for the colour formats peers may send (see isCssColor in schema.js):
+// 3, 4, 6 and 8 digit hex, rgb() and rgba(). Anything else is opaque black.
+function pdfColor(color) {
+  const value = String(color || '').trim();
+  const hex = /^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(value);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = digits.split('').map(c => c + c).join('');
+    const channels = digits.match(/../g).map(pair => parseInt(pair, 16) / 255);
+    return channels.length === 4 ? channels : [...channels, 1];
+  }
+  const rgb = /^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*(?:,\s*([\d.]+)\s*)?\)$/i.exec(value);
+  if (rgb) {
+    const [r, g, b] = rgb.slice(1, 4).map(channel => Math.min(255, Number(channel)) / 255);
+    return [r, g, b, rgb[4] === undefined ? 1 : Math.min(1, Number(rgb[4]))];
+  }
+  return [0, 0, 0, 1];
+}
+
+// Standard PDF fonts only cover WinAnsi; anything outside Latin-1 becomes '?'
+function pdfString(text) {
+  let out = '';
+  for (const ch of String(text)) {
+    const code = ch.codePointAt(0);
+    const safe = code < 32 || (code >= 127 && code < 160) || code > 255 ? '?' : ch;
+    out += safe === '(' || safe === ')' || safe === '\\' ? '\\' + safe : safe;
+  }
+  return `(${out})`;
+}
+
+function pdfPolyline(points) {
+  return points.map((p, i) => `${format(p.x)} ${format(p.y)} ${i === 0 ? 'm' : 'l'}`).join('\n');
+}
+
+// PDF has no quadratic curves; each one is raised to the equivalent cubic
+function pdfPieces(pieces) {
+  const lines = [`${format(pieces[0].from.x)} ${format(pieces[0].from.y)} m`];
+  for (const { from, control, to } of pieces) {
+    if (!control) {
+      lines.push(`${format(to.x)} ${format(to.y)} l`);
+      continue;
+    }
+    const c1 = { x: from.x + (control.x - from.x) * 2 / 3, y: from.y + (control.y - from.y) * 2 / 3 };
+    const c2 = { x: to.x + (control.x - to.x) * 2 / 3, y: to.y + (control.y - to.y) * 2 / 3 };
+    lines.push(`${format(c1.x)} ${format(c1.y)} ${format(c2.x)} ${format(c2.y)} ${format(to.x)} ${format(to.y)} c`);
+  }
+  return lines.join('\n');
+}
+
+// Four cubic Bézier arcs approximating an ellipse
+function pdfEllipse(cx, cy, rx, ry) {
+  const k = 0.5522847498;
+  return [
+    `${format(cx + rx)} ${format(cy)} m`,
+    `${format(cx + rx)} ${format(cy + ry * k)} ${format(cx + rx * k)} ${format(cy + ry)} ${format(cx)} ${format(cy + ry)} c`,
+    `${format(cx - rx * k)} ${format(cy + ry)} ${format(cx - rx)} ${format(cy + ry * k)} ${format(cx - rx)} ${format(cy)} c`,
+    `${format(cx - rx)} ${format(cy - ry * k)} ${format(cx - rx * k)} ${format(cy - ry)} ${format(cx)} ${format(cy - ry)} c`,
+    `${format(cx + rx * k)} ${format(cy - ry)} ${format(cx + rx)} ${format(cy - ry * k)} ${format(cx + rx)} ${format(cy)} c`
+  ].join('\n');
+}
+
+function pdfStrokeStyle(color, width) {
+  const [r, g, b] = pdfColor(color);
+  return `${format(r)} ${format(g)} ${format(b)} RG ${format(width)} w 1 J 1 j`;
+}
+
+// Re-encode a bitmap as JPEG so it can be embedded with DCTDecode (transparency is flattened to white)
+function jpegBytes(image) {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.naturalWidth || image.width;
+  canvas.height = image.naturalHeight || image.height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(image, 0, 0);
+  const dataUrl = canvas.toDataURL('image/jpeg', 0.92);
+  return { data: atob(dataUrl.split(',')[1]), width: canvas.width, height: canvas.height };
+}
+
+class PdfWriter {
+  constructor() {
+    this.objects = [];
+  }
+
+  // Reserve an object number; the body can be filled in later
+  add(body = null) {
+    this.objects.push(body);
+    return this.objects.length;
+  }
+
+  set(ref, body) {
+    this.objects[ref - 1] = body;
+  }
+
+  stream(dict, data) {
+    return `<< ${dict} /Length ${data.length} >>\nstream\n${data}\nendstream`;
+  }
+
+  // Bodies are binary strings (one char per byte), so string length equals byte length
+  build(rootRef) {
+    let out = '%PDF-1.5\n%âãÏÓ\n';
+    const offsets = [];
+    this.objects.forEach((body, i) => {
+      offsets.push(out.length);
+      out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    });
+
+    const xref = out.length;
+    out += `xref\n0 ${this.objects.length + 1}\n0000000000 65535 f \n`;
+    for (const offset of offsets) {
+      out += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    }
+    out += `trailer\n<< /Size ${this.objects.length + 1} /Root ${rootRef} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    const bytes = new Uint8Array(out.length);
+    for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i) & 0xff;
+    return bytes;
+  }
+}
+
+// Single-page PDF with one optional content group (a "layer" in Illustrator/Acrobat) per drawing layer
+export function exportPDF(layers, bounds) {
+  const pdf = new PdfWriter();
+  const catalogRef = pdf.add();
+  const pagesRef = pdf.add();
+  const pageRef = pdf.add();
+  const fontRef = pdf.add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+
+  const xObjects = [];
+  const extGStates = [];
+  const properties = [];
+  const ocgRefs = [];
+
+  const pageWidth = bounds.width * PDF_POINTS_PER_PIXEL;
+  const pageHeight = bounds.height * PDF_POINTS_PER_PIXEL;
+  const box = `${format(bounds.x)} ${format(bounds.y)} ${format(bounds.width)} ${format(bounds.height)}`;
+
+  // Flip to a top-left origin and map document pixels to points
+  let content = `${PDF_POINTS_PER_PIXEL} 0 0 ${-PDF_POINTS_PER_PIXEL} 0 ${format(pageHeight)} cm\n`;
+  content += `1 0 0 1 ${format(-bounds.x)} ${format(-bounds.y)} cm\n`;
+
+  const operationContent = (op) => {
+    if (op.matrix) {
+      const body = operationContent({ ...op, matrix: null });
+      return body && `q ${formatMatrix(op.matrix)} cm\n${body}\nQ`;
+    }
+
+    if (op.tool === 'snapshot' || op.tool === 'image') {
+      if (!op.image) return '';
+      const jpeg = jpegBytes(op.image);
+      const name = `Im${xObjects.length}`;
+      const ref = pdf.add(pdf.stream(
+        `/Type /XObject /Subtype /Image /Width ${jpeg.width} /Height ${jpeg.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode`,
+        jpeg.data
+      ));
+      xObjects.push(`/${name} ${ref} 0 R`);
+      // Image space is a unit square with its origin at the bottom-left
+      return `q ${format(op.width)} 0 0 ${format(-op.height)} ${format(op.x)} ${format(op.y + op.height)} cm /${name} Do Q`;
+    }
+
+    const colorAlpha = pdfColor(op.color)[3];
+    if (op.tool === 'text') {
+      const { x, y } = op.points[0];
+      const [r, g, b] = pdfColor(op.color);
+      const lines = op.text.split('\n').map((line, i) => {
+        const baseline = y + i * op.fontSize * TEXT_LINE_HEIGHT + TEXT_ASCENT * op.fontSize;
+        return `BT ${format(r)} ${format(g)} ${format(b)} rg /F1 ${format(op.fontSize)} Tf 1 0 0 -1 ${format(x)} ${format(baseline)} Tm ${pdfString(line)} Tj ET`;
+      }).join('\n');
+      return colorAlpha < 1 ? `q ${opacityState(colorAlpha)}\n${lines}\nQ` : lines;
+    }
+
+    if (isShapeTool(op.tool)) {
+      const [a, b] = op.points;
+      const style = opacityState(colorAlpha) + pdfStrokeStyle(op.color, op.width);
+      if (op.tool === 'rect') {
+        return `q ${style} ${format(Math.min(a.x, b.x))} ${format(Math.min(a.y, b.y))} ${format(Math.abs(b.x - a.x))} ${format(Math.abs(b.y - a.y))} re S Q`;
+      }
+      if (op.tool === 'ellipse') {
+        return `q ${style}\n${pdfEllipse((a.x + b.x) / 2, (a.y + b.y) / 2, Math.abs(b.x - a.x) / 2, Math.abs(b.y - a.y) / 2)}\nS Q`;
+      }
+      let path = pdfPolyline([a, b]);
+      if (op.tool === 'arrow') path += '\n' + pdfPolyline(arrowHeadPoints(a, b, op.width));
+      return `q ${style}\n${path}\nS Q`;
+    }
+
+    return strokeRuns(op).map(run =>
+      `q ${opacityState(run.alpha * colorAlpha)}${pdfStrokeStyle(op.color, run.width)}\n${pdfPieces(run.pieces)}\nS Q`
+    ).join('\n');
+  };
+
+  // Setting an object's own alpha (from pressure or its colour) replaces the layer's, so the two are combined
+  const opacityState = (alpha) => alpha < 1 ? `/${alphaState(alpha * layerOpacity)} gs ` : '';
+
+  // Stroke opacity needs a graphics state; one is shared by every run with the same alpha
+  const alphaStates = new Map();
+  const alphaState = (alpha) => {
+    if (!alphaStates.has(alpha)) {
+      const ref = pdf.add(`<< /Type /ExtGState /CA ${format(alpha)} /ca ${format(alpha)} >>`);
+      const name = `A${alphaStates.size}`;
+      extGStates.push(`/${name} ${ref} 0 R`);
+      alphaStates.set(alpha, name);
+    }
+    return alphaStates.get(alpha);
+  };
+
+  // Layer opacity and blend mode apply to each object in the layer; PDF has no cheaper group equivalent
+  let layerOpacity = 1;
+  const layerState = (layer) => {
+    const opacity = layer.opacity < 1 ? ` /CA ${format(layer.opacity)} /ca ${format(layer.opacity)}` : '';
+    const blend = layer.blend && layer.blend !== 'normal' ? ` /BM /${layer.blend[0].toUpperCase()}${layer.blend.slice(1)}` : '';
+    if (!opacity && !blend) return null;
+    const ref = pdf.add(`<< /Type /ExtGState${opacity}${blend} >>`);
+    const name = `B${extGStates.length}`;
+    extGStates.push(`/${name} ${ref} 0 R`);
+    return name;
+  };
+
+  const groupContent = (group) => {
+    // A run is masked by every eraser stroke that comes after it. Masks are built back to front,
+    // each form drawing the next one before its own strokes, so no stroke is written twice.
+    const runs = splitAtErasers(group.operations);
+    const maskNames = new Array(runs.length).fill(null);
+    let nextMaskRef = null;
+    for (let i = runs.length - 1; i >= 0; i--) {
+      if (runs[i].erasers.length === 0) continue;
+
+      let form = nextMaskRef ? '/M Do\n' : `1 g ${box} re f\n`;
+      // Pressure only changes the eraser's width here; partial erasing would need a graphics state per form
+      form += runs[i].erasers.map(op => strokeRuns(op).map(run =>
+        `${pdfStrokeStyle('#000000', run.width)}\n${pdfPieces(run.pieces)}\nS`
+      ).join('\n')).join('\n');
+      const resources = nextMaskRef ? `/Resources << /XObject << /M ${nextMaskRef} 0 R >> >>` : '';
+      const formRef = pdf.add(pdf.stream(
+        `/Type /XObject /Subtype /Form /BBox [${format(bounds.x)} ${format(bounds.y)} ${format(bounds.x + bounds.width)} ${format(bounds.y + bounds.height)}] /Group << /S /Transparency /CS /DeviceGray >> ${resources}`,
+        form
+      ));
+      const gsRef = pdf.add(`<< /Type /ExtGState /SMask << /Type /Mask /S /Luminosity /G ${formRef} 0 R >> >>`);
+      const name = `GS${extGStates.length}`;
+      extGStates.push(`/${name} ${gsRef} 0 R`);
+      maskNames[i] = name;
+      nextMaskRef = formRef;
+    }
+
+    let groupBody = '';
+    runs.forEach((run, i) => {
+      if (run.operations.length === 0) return;
+      const body = run.operations.map(operationContent).filter(Boolean).join('\n');
+      groupBody += maskNames[i] ? `q /${maskNames[i]} gs\n${body}\nQ\n` : `${body}\n`;
+    });
+    return groupBody;
+  };
+
+  layers.forEach((layer, layerIndex) => {
+    const ocgRef = pdf.add(`<< /Type /OCG /Name ${pdfString(layer.name)} >>`);
+    ocgRefs.push(ocgRef);
+    properties.push(`/L${layerIndex} ${ocgRef} 0 R`);
+
+    const state = layerState(layer);
+    layerOpacity = layer.opacity;
+    content += `/OC /L${layerIndex} BDC\n`;
+    if (state) content += `q /${state} gs\n`;
+    for (const group of layer.groups) {
+      content += groupContent(group);
+    }
+    if (state) content += 'Q\n';
+    content += 'EMC\n';
+  });
+
+  const contentRef = pdf.add(pdf.stream('', content));
+  const ocgList = ocgRefs.map(ref => `${ref} 0 R`).join(' ');
+
+  pdf.set(catalogRef, `<< /Type /Catalog /Pages ${pagesRef} 0 R /OCProperties << /OCGs [${ocgList}] /D << /Order [${ocgList}] /ON [${ocgList}] >> >> >>`);
+  pdf.set(pagesRef, `<< /Type /Pages /Kids [${pageRef} 0 R] /Count 1 >>`);
+  pdf.set(pageRef, [
+    `<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${format(pageWidth)} ${format(pageHeight)}]`,
+    `/Resources << /Font << /F1 ${fontRef} 0 R >> /XObject << ${xObjects.join(' ')} >> /ExtGState << ${extGStates.join(' ')} >> /Properties << ${properties.join(' ')} >> >>`,
+    `/Contents ${contentRef} 0 R >>`
+  ].join('\n'));
+
+  return pdf.build(catalogRef);
+}
@@ -0,0 +1,270 @@
+// Animated GIF89a encoder. Frames are RGBA pixels of the full image; each one is stored as the
+// rectangle that changed since the previous frame, with its own palette of up to 256 colours
+// picked by median cut. GIF has no partial transparency, so pixels are expected to be opaque.
+const MAX_CODES = 4096;
+
+export class GifEncoder {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.frames = [];
+    this.previous = null;
+  }
+
+  // delay is how long the frame stays up, in milliseconds
+  addFrame(pixels, delay) {
+    const rect = this.previous ? changedRect(this.previous, pixels, this.width, this.height) : { x: 0, y: 0, width: this.width, height: this.height };
+    this.previous = pixels.slice();
+    if (!rect) {
+      // Nothing changed; the previous frame just stays up longer
+      this.frames[this.frames.length - 1].delay += delay;
+      return;
+    }
+
+    const region = cropPixels(pixels, this.width, rect);
+    const { palette, indices } = quantize(region);
+    const bits = Math.max(1, Math.ceil(Math.log2(palette.length / 3)));
+    this.frames.push({ rect, palette, bits, data: lzwEncode(indices, Math.max(2, bits)), delay });
+  }
+
+  finish() {
+    const out = new ByteWriter();
+    out.string('GIF89a');
+    out.word(this.width);
+    out.word(this.height);
+    out.bytes([0x00, 0x00, 0x00]); // no global colour table
+
+    // Loop forever
+    out.bytes([0x21, 0xff, 0x0b]);
+    out.string('NETSCAPE2.0');
+    out.bytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+    for (const frame of this.frames) {
+      // Graphic control extension: leave the frame in place for the next one to draw over
+      out.bytes([0x21, 0xf9, 0x04, 0x04]);
+      out.word(Math.min(0xffff, Math.round(frame.delay / 10)));
+      out.bytes([0x00, 0x00]);
+
+      const { x, y, width, height } = frame.rect;
+      out.byte(0x2c);
+      out.word(x);
+      out.word(y);
+      out.word(width);
+      out.word(height);
+      out.byte(0x80 | (frame.bits - 1)); // local colour table of 2^bits entries
+      const table = new Uint8Array(3 << frame.bits);
+      table.set(frame.palette);
+      out.bytes(table);
+
+      out.byte(Math.max(2, frame.bits));
+      for (let i = 0; i < frame.data.length; i += 255) {
+        const block = frame.data.subarray(i, i + 255);
+        out.byte(block.length);
+        out.bytes(block);
+      }
+      out.byte(0x00);
+    }
+
+    out.byte(0x3b);
+    return out.toBytes();
+  }
+}
+
+class ByteWriter {
+  constructor() {
+    this.buffer = new Uint8Array(1 << 16);
+    this.length = 0;
+  }
+
+  reserve(count) {
+    if (this.length + count <= this.buffer.length) return;
+    let size = this.buffer.length * 2;
+    while (size < this.length + count) size *= 2;
+    const buffer = new Uint8Array(size);
+    buffer.set(this.buffer.subarray(0, this.length));
+    this.buffer = buffer;
+  }
+
+  byte(value) {
+    this.reserve(1);
+    this.buffer[this.length++] = value;
+  }
+
+  word(value) {
+    this.byte(value & 0xff);
+    this.byte((value >> 8) & 0xff);
+  }
+
+  bytes(values) {
+    this.reserve(values.length);
+    this.buffer.set(values, this.length);
+    this.length += values.length;
+  }
+
+  string(text) {
+    for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+  }
+
+  toBytes() {
+    return this.buffer.slice(0, this.length);
+  }
+}
+
+// Smallest rectangle containing every pixel that differs, or null if none does
+function changedRect(before, after, width, height) {
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+  const rows = new Uint32Array(before.buffer, before.byteOffset, width * height);
+  const next = new Uint32Array(after.buffer, after.byteOffset, width * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      if (rows[row + x] === next[row + x]) continue;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      maxY = y;
+    }
+  }
+  return maxX < 0 ? null : { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+function cropPixels(pixels, width, rect) {
+  const region = new Uint8Array(rect.width * rect.height * 4);
+  for (let y = 0; y < rect.height; y++) {
+    const start = ((rect.y + y) * width + rect.x) * 4;
+    region.set(pixels.subarray(start, start + rect.width * 4), y * rect.width * 4);
+  }
+  return region;
+}
+
+// Median cut over a histogram with 5 bits per channel. Palette entries are the average of the real
+// colours in each box, so flat drawing colours come out exact.
+function quantize(pixels) {
+  const counts = new Uint32Array(1 << 15);
+  const sums = new Float64Array(3 << 15);
+  for (let i = 0; i < pixels.length; i += 4) {
+    const key = ((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3);
+    counts[key]++;
+    sums[key * 3] += pixels[i];
+    sums[key * 3 + 1] += pixels[i + 1];
+    sums[key * 3 + 2] += pixels[i + 2];
+  }
+
+  const keys = [];
+  for (let key = 0; key < counts.length; key++) {
+    if (counts[key] > 0) keys.push(key);
+  }
+
+  const channel = (key, c) => (key >> (10 - c * 5)) & 31;
+  const range = (box) => {
+    let widest = 0, axis = 0;
+    for (let c = 0; c < 3; c++) {
+      let min = 31, max = 0;
+      for (const key of box) {
+        const v = channel(key, c);
+        if (v < min) min = v;
+        if (v > max) max = v;
+      }
+      if (max - min > widest) {
+        widest = max - min;
+        axis = c;
+      }
+    }
+    return { widest, axis };
+  };
+
+  // Keep splitting the box with the widest spread of colours at its pixel-weighted median
+  const boxes = [keys];
+  while (boxes.length < 256) {
+    let best = -1, bestRange = null;
+    for (let i = 0; i < boxes.length; i++) {
+      if (boxes[i].length < 2) continue;
+      const r = range(boxes[i]);
+      if (!bestRange || r.widest > bestRange.widest) {
+        best = i;
+        bestRange = r;
+      }
+    }
+    if (best < 0 || bestRange.widest === 0) break;
+
+    const box = boxes[best].sort((a, b) => channel(a, bestRange.axis) - channel(b, bestRange.axis));
+    const total = box.reduce((sum, key) => sum + counts[key], 0);
+    let seen = 0, split = 1;
+    for (; split < box.length - 1; split++) {
+      seen += counts[box[split - 1]];
+      if (seen >= total / 2) break;
+    }
+    boxes.splice(best, 1, box.slice(0, split), box.slice(split));
+  }
+
+  const palette = new Uint8Array(Math.max(2, boxes.length) * 3);
+  const lookup = new Uint8Array(1 << 15);
+  boxes.forEach((box, index) => {
+    let n = 0, r = 0, g = 0, b = 0;
+    for (const key of box) {
+      n += counts[key];
+      r += sums[key * 3];
+      g += sums[key * 3 + 1];
+      b += sums[key * 3 + 2];
+      lookup[key] = index;
+    }
+    palette[index * 3] = Math.round(r / n);
+    palette[index * 3 + 1] = Math.round(g / n);
+    palette[index * 3 + 2] = Math.round(b / n);
+  });
+
+  const indices = new Uint8Array(pixels.length / 4);
+  for (let i = 0, p = 0; i < pixels.length; i += 4, p++) {
+    indices[p] = lookup[((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3)];
+  }
+  return { palette, indices };
+}
+
+// Variable-width LZW as GIF uses it, starting over with a clear code when the table fills up
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const out = new ByteWriter();
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  let bitBuffer = 0, bitCount = 0;
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      out.byte(bitBuffer & 0xff);
+      bitBuffer >>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (prefix << 8) | index;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === MAX_CODES) {
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = index;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) out.byte(bitBuffer & 0xff);
+  return out.toBytes();
+}
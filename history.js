@@ -0,0 +1,154 @@
+// Pauses longer than this are shortened when the history is played back, so idle stretches don't stall it
+export const PLAYBACK_MAX_GAP_MS = 1000;
+
+// Timeline of everything drawn in the room, ordered by when it happened. Entries reference the
+// operation objects themselves, so a stroke still being drawn is complete when it is replayed.
+// Undo and redo are entries of their own. userId is null for our own operations.
+// Operations get a `time` when first recorded; it travels with them in snapshots and saves,
+// so operations loaded later are still placed where they belong.
+export class RoomHistory {
+  constructor() {
+    this.entries = [];
+    // Operation entries by `${userId}:${operationId}`
+    this.byOperation = new Map();
+    // Operations with undo/redo entries, whose hidden flag is rebuilt from them
+    this.toggled = new Set();
+    this.onChange = null;
+  }
+
+  recordOperation(userId, op) {
+    const key = historyKey(userId, op.id);
+    const existing = this.byOperation.get(key);
+    if (existing) {
+      // A snapshot replaced our copy of an operation we already know; it keeps its place
+      if (typeof op.time !== 'number') op.time = existing.time;
+      existing.op = op;
+      return;
+    }
+
+    if (typeof op.time !== 'number') op.time = Date.now();
+    const entry = { userId, time: op.time, kind: op.tool, strokeId: op.id, op };
+    this.byOperation.set(key, entry);
+    this.insert(entry);
+  }
+
+  recordToggle(userId, strokeId, hidden) {
+    this.toggled.add(historyKey(userId, strokeId));
+    this.insert({ userId, time: Date.now(), kind: hidden ? 'undo' : 'redo', strokeId, op: null });
+  }
+
+  insert(entry) {
+    let i = this.entries.length;
+    while (i > 0 && this.entries[i - 1].time > entry.time) i--;
+    this.entries.splice(i, 0, entry);
+    if (this.onChange) this.onChange(entry, i);
+  }
+
+  // Each user's operation log as it was after the first `count` entries, with copies of the
+  // operations carrying the hidden flag they had then
+  logsAt(count) {
+    const logs = new Map();
+    const hidden = new Map();
+    for (const entry of this.entries.slice(0, count)) {
+      if (!logs.has(entry.userId)) logs.set(entry.userId, []);
+      if (entry.op) {
+        logs.get(entry.userId).push(entry.op);
+      } else {
+        hidden.set(historyKey(entry.userId, entry.strokeId), entry.kind === 'undo');
+      }
+    }
+
+    for (const [userId, operations] of logs) {
+      logs.set(userId, operations.map((op) => {
+        const copy = this.initialCopy(userId, op);
+        const key = historyKey(userId, op.id);
+        if (hidden.has(key)) copy.hidden = hidden.get(key);
+        return copy;
+      }));
+    }
+    return logs;
+  }
+
+  // An operation as it was when recorded. One undone before we saw any toggle (e.g. loaded
+  // from a snapshot) keeps its current state.
+  initialCopy(userId, op) {
+    const { editing, ...copy } = op;
+    return { ...copy, hidden: !this.toggled.has(historyKey(userId, op.id)) && !!op.hidden };
+  }
+
+  // Time of each entry from the start of the session, with long pauses shortened to maxGap
+  playbackTimes(maxGap = PLAYBACK_MAX_GAP_MS) {
+    const times = [];
+    for (let i = 0; i < this.entries.length; i++) {
+      const gap = i === 0 ? 0 : Math.min(maxGap, this.entries[i].time - this.entries[i - 1].time);
+      times.push((i === 0 ? 0 : times[i - 1]) + gap);
+    }
+    return times;
+  }
+
+  // Later entries only add operations, so a view can be brought forward without replaying
+  isAppendOnly(from, to) {
+    return this.entries.slice(from, to).every(isAppendEntry);
+  }
+}
+
+// Plays the history back as a time-lapse, with the playback timing sped up by `speed`
+export class TimelapsePlayer {
+  constructor(history, { onStep, onEnd }) {
+    this.history = history;
+    this.onStep = onStep;
+    this.onEnd = onEnd;
+    this.speed = 1;
+    this.frameRequest = null;
+  }
+
+  isPlaying() {
+    return this.frameRequest !== null;
+  }
+
+  play(fromCount) {
+    this.stop();
+    // Entries recorded while playing are left for the live view
+    const times = this.history.playbackTimes();
+    const total = times.length;
+    if (fromCount >= total) fromCount = 0;
+
+    let count = fromCount;
+    let elapsed = count > 0 ? times[count - 1] : 0;
+    let last = null;
+    this.onStep(count);
+
+    const tick = (now) => {
+      elapsed += last === null ? 0 : (now - last) * this.speed;
+      last = now;
+
+      const previous = count;
+      while (count < total && times[count] <= elapsed) count++;
+      if (count !== previous) this.onStep(count);
+
+      if (count >= total) {
+        this.frameRequest = null;
+        if (this.onEnd) this.onEnd();
+        return;
+      }
+      this.frameRequest = requestAnimationFrame(tick);
+    };
+    this.frameRequest = requestAnimationFrame(tick);
+  }
+
+  stop() {
+    if (this.frameRequest !== null) {
+      cancelAnimationFrame(this.frameRequest);
+      this.frameRequest = null;
+    }
+  }
+}
+
+// An entry that adds an operation on top of its user's log without changing what is already there
+export function isAppendEntry(entry) {
+  return !!entry.op && !entry.op.replaces && !['transform', 'delete', 'duplicate', 'clear'].includes(entry.kind);
+}
+
+function historyKey(userId, strokeId) {
+  return `${userId}:${strokeId}`;
+}
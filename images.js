@@ -0,0 +1,86 @@
+// Imported images travel to peers as data URLs inside a single socket message,
+// so they are downscaled and re-encoded until they fit these limits.
+export const MAX_IMAGE_DIMENSION = 1600;
+export const MAX_IMAGE_BYTES = 700 * 1024;
+
+export function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Failed to load image'));
+    img.src = src;
+  });
+}
+
+// Whole-room rasters from servers that keep one are larger than imported images, but bounded too
+export const MAX_RASTER_BYTES = 8 * 1024 * 1024;
+
+// Bitmap formats only: an SVG can taint the canvas, after which downloads and exports throw
+const BITMAP_DATA_URL = /^data:image\/(?:png|jpeg|webp|gif);base64,/;
+
+export function isImageDataUrl(src) {
+  return typeof src === 'string' && BITMAP_DATA_URL.test(src) && src.length <= MAX_IMAGE_BYTES * 1.5;
+}
+
+export function isRasterDataUrl(src) {
+  return typeof src === 'string' && BITMAP_DATA_URL.test(src) && src.length <= MAX_RASTER_BYTES * 1.5;
+}
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Failed to read image file'));
+    reader.readAsDataURL(file);
+  });
+}
+
+// WebP keeps transparency at a small size; browsers without a WebP encoder fall back to JPEG
+function encodeCanvas(canvas, quality) {
+  const webp = canvas.toDataURL('image/webp', quality);
+  if (webp.startsWith('data:image/webp')) return webp;
+
+  const flattened = document.createElement('canvas');
+  flattened.width = canvas.width;
+  flattened.height = canvas.height;
+  const ctx = flattened.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, flattened.width, flattened.height);
+  ctx.drawImage(canvas, 0, 0);
+  return flattened.toDataURL('image/jpeg', quality);
+}
+
+// Read an image file or clipboard blob and shrink it until it is small enough to broadcast
+export async function prepareImageFile(file) {
+  if (!file || !file.type.startsWith('image/')) {
+    throw new Error('Not an image file');
+  }
+
+  const source = await loadImage(await readFileAsDataUrl(file));
+  let scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(source.naturalWidth, source.naturalHeight));
+  let quality = 0.9;
+
+  while (true) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(source.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(source.naturalHeight * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+    const src = encodeCanvas(canvas, quality);
+    if (src.length <= MAX_IMAGE_BYTES) {
+      return { src, image: await loadImage(src), width: canvas.width, height: canvas.height };
+    }
+
+    // Lower the quality first, then the resolution
+    if (quality > 0.5) {
+      quality -= 0.15;
+    } else if (canvas.width > 64 && canvas.height > 64) {
+      scale *= 0.75;
+    } else {
+      throw new Error('Image is too large to share');
+    }
+  }
+}
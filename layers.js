@@ -0,0 +1,88 @@
+import { DEFAULT_LAYER_ID } from './operations.js';
+
+// Named drawing layers shared by everyone in the room, listed bottom to top.
+// Each layer is a last-writer-wins register: an edit carries the editor's Lamport clock and
+// userId, and every client keeps the newest version. Layers are ordered by a fractional `order`
+// key, so moving one layer never has to rewrite the others.
+export const BLEND_MODES = ['normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten'];
+
+const LAYER_DEFAULTS = { visible: true, opacity: 1, locked: false, blend: 'normal' };
+
+// Canvas composite operation for a blend mode; the names match CSS and PDF apart from 'normal'
+export function blendOperation(blend) {
+  return blend === 'normal' ? 'source-over' : blend;
+}
+
+export function createLayerId() {
+  return 'layer_' + Date.now().toString(36) + '_' + Math.random().toString(36).substring(2, 9);
+}
+
+export class LayerStack {
+  constructor() {
+    this.layers = new Map();
+    this.layers.set(DEFAULT_LAYER_ID, {
+      id: DEFAULT_LAYER_ID,
+      name: 'Layer 1',
+      order: 0,
+      ...LAYER_DEFAULTS,
+      clock: 0,
+      userId: ''
+    });
+  }
+
+  list() {
+    return [...this.layers.values()].sort((a, b) => a.order - b.order || (a.id < b.id ? -1 : 1));
+  }
+
+  get(id) {
+    return this.layers.get(id) || null;
+  }
+
+  // Layers we have not heard of yet can't be edited
+  isEditable(id) {
+    const layer = this.layers.get(id);
+    return !!layer && layer.visible && !layer.locked;
+  }
+
+  // Keep whichever version is newer by (clock, userId); returns true if the given one won
+  merge(layer) {
+    const current = this.layers.get(layer.id);
+    if (current && compareVersions(current, layer) >= 0) return false;
+    const blend = BLEND_MODES.includes(layer.blend) ? layer.blend : 'normal';
+    const opacity = Math.min(1, Math.max(0, Number(layer.opacity)));
+    this.layers.set(layer.id, {
+      ...LAYER_DEFAULTS,
+      ...layer,
+      name: String(layer.name || 'Layer'),
+      order: Number(layer.order) || 0,
+      opacity: Number.isFinite(opacity) ? opacity : 1,
+      blend
+    });
+    return true;
+  }
+
+  // A new layer goes on top of the stack
+  nextOrder() {
+    const list = this.list();
+    return list.length > 0 ? list[list.length - 1].order + 1 : 0;
+  }
+
+  // Order key that places a layer one step up (+1) or down (-1), or null at the end of the stack
+  orderAfterMove(id, direction) {
+    const list = this.list();
+    const index = list.findIndex(layer => layer.id === id);
+    const target = index + direction;
+    if (index < 0 || target < 0 || target >= list.length) return null;
+
+    const beyond = list[target + direction];
+    const neighbour = list[target].order;
+    return beyond ? (neighbour + beyond.order) / 2 : neighbour + direction;
+  }
+}
+
+function compareVersions(a, b) {
+  if (a.clock !== b.clock) return a.clock - b.clock;
+  const userA = a.userId || '';
+  const userB = b.userId || '';
+  return userA < userB ? -1 : userA > userB ? 1 : 0;
+}
@@ -0,0 +1,23 @@
+// Leveled console logging. Only warnings and errors are printed unless the page is opened with
+// ?debug=1, which turns on the debug and info chatter about every message sent and received.
+const LEVELS = { debug: 0, info: 1, warn: 2, error: 3 };
+
+let threshold = typeof window !== 'undefined' && new URLSearchParams(window.location.search).get('debug') === '1'
+  ? LEVELS.debug
+  : LEVELS.warn;
+
+export function setLogLevel(level) {
+  if (level in LEVELS) threshold = LEVELS[level];
+}
+
+// Messages are prefixed with the scope, e.g. createLogger('socket').debug(...) prints "[socket] ..."
+export function createLogger(scope) {
+  const logger = {};
+  for (const [level, value] of Object.entries(LEVELS)) {
+    const method = level === 'debug' ? 'log' : level;
+    logger[level] = (...args) => {
+      if (value >= threshold) console[method](`[${scope}]`, ...args);
+    };
+  }
+  return logger;
+}
@@ -1,90 +1,215 @@
 import { CanvasManager } from './canvas.js';
 import { WebSocketClient } from './websocket.js';
+import { createTransport, BroadcastChannelTransport } from './transport.js';
+import { createLogger } from './logger.js';
+import { listSavedRooms, deleteSavedRoom } from './room-store.js';
+import { BLEND_MODES } from './layers.js';
+import { TimelapsePlayer } from './history.js';
+import { safeColor } from './schema.js';
 
-class CollaborativeCanvasApp {
-  constructor() {
+const log = createLogger('app');
+const DEFAULT_USER_COLOR = '#6366f1';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Drawing tools shown in the toolbar: indicator icon/label and keyboard shortcut
+const TOOLS = {
+  select: { icon: 'fa-mouse-pointer', label: 'Select', key: 'v' },
+  brush: { icon: 'fa-paintbrush', label: 'Brush', key: 'b' },
+  eraser: { icon: 'fa-eraser', label: 'Eraser', key: 'e' },
+  line: { icon: 'fa-minus', label: 'Line', key: 'l' },
+  rect: { icon: 'fa-square', label: 'Rectangle', key: 'r' },
+  ellipse: { icon: 'fa-circle', label: 'Ellipse', key: 'o' },
+  arrow: { icon: 'fa-arrow-right', label: 'Arrow', key: 'a' },
+  text: { icon: 'fa-font', label: 'Text', key: 't' }
+};
+
+// Queued socket events by the kind of operation CanvasManager knows them as
+const OFFLINE_OPERATION_KINDS = {
+  drawing: 'draw',
+  undo: 'undo',
+  redo: 'redo',
+  'clear-canvas': 'clear',
+  'layer-update': 'layer'
+};
+
+// How each kind of history entry is labelled in the timeline
+const HISTORY_KINDS = {
+  brush: 'Stroke',
+  eraser: 'Erase',
+  line: 'Line',
+  rect: 'Rectangle',
+  ellipse: 'Ellipse',
+  arrow: 'Arrow',
+  text: 'Text',
+  image: 'Image',
+  snapshot: 'Room snapshot',
+  transform: 'Move',
+  delete: 'Delete',
+  duplicate: 'Duplicate',
+  clear: 'Clear',
+  undo: 'Undo',
+  redo: 'Redo'
+};
+
+// Where the room server lives, first match wins: ?server=, window.CANVAS_CONFIG.serverUrl set by a script
+// before this one, <meta name="canvas-server" content="...">, then the hosted server for our Vercel
+// deployment and a local one for everything else
+function getBackendUrl(urlParams) {
+  const meta = document.querySelector('meta[name="canvas-server"]');
+  const config = window.CANVAS_CONFIG || {};
+  const configured = urlParams.get('server') || config.serverUrl || (meta && meta.content);
+  if (configured) return configured;
+  
+  return window.location.hostname === 'real-time-canva.vercel.app'
+    ? 'https://realtime-canva-server.onrender.com'
+    : 'http://localhost:3000';
+}
+
+// Keyboard shortcuts and pasted images go to the app that was used last when a page has several
+let activeApp = null;
+
+// options.root is the element holding the app's markup (the whole document by default);
+// options.transport, options.userId and options.roomId let several apps share a loopback hub
+// in one page for demos and tests
+export class CollaborativeCanvasApp {
+  constructor(options = {}) {
     const urlParams = new URLSearchParams(window.location.search);
-    this.userColor = urlParams.get('color') || '#6366f1';
-    this.roomId = urlParams.get('room') || 'default';
+    this.root = options.root || document;
+    this.userColor = safeColor(urlParams.get('color'), DEFAULT_USER_COLOR);
+    this.roomId = options.roomId || urlParams.get('room') || 'default';
+    // ?transport=websocket talks JSON to our own gateway, ?transport=loopback stays inside the page
+    this.transportKind = urlParams.get('transport') || 'socketio';
     
-    // Generate persistent user ID for the session to maintain identity across reconnects
-    let storedUserId = sessionStorage.getItem('canvas_userId');
+    // Generate persistent user ID for the session to maintain identity across reconnects.
+    // Loopback frames share sessionStorage, so each of them gets an ID of its own.
+    let storedUserId = options.userId || (this.transportKind === 'loopback' ? null : sessionStorage.getItem('canvas_userId'));
     if (!storedUserId) {
       storedUserId = 'user_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
-      sessionStorage.setItem('canvas_userId', storedUserId);
+      if (this.transportKind !== 'loopback') sessionStorage.setItem('canvas_userId', storedUserId);
     }
     this.userId = storedUserId;
     this.username = 'Anonymous';
     
-    console.log('Initialized with userId:', this.userId);
+    log.info('Initialized with userId:', this.userId);
+    if (!activeApp) activeApp = this;
     
-    if (!document.getElementById('canvas')) {
+    if (!this.byId('canvas')) {
       return;
     }
     
-    this.canvas = document.getElementById('canvas');
-    this.brushBtn = document.getElementById('brushBtn');
-    this.eraserBtn = document.getElementById('eraserBtn');
-    this.colorPicker = document.getElementById('colorPicker');
-    this.colorHex = document.getElementById('colorHex');
-    this.widthRange = document.getElementById('widthRange');
-    this.widthLabel = document.getElementById('widthLabel');
-    this.brushPreview = document.getElementById('brushPreview');
-    this.undoBtn = document.getElementById('undoBtn');
-    this.redoBtn = document.getElementById('redoBtn');
-    this.clearBtn = document.getElementById('clearBtn');
-    this.downloadBtn = document.getElementById('downloadBtn');
-    this.canvasSize = document.getElementById('canvasSize');
-    this.toolIndicator = document.getElementById('toolIndicator');
-    this.cursorPreview = document.getElementById('cursorPreview');
-    
-    this.conflictInfo = document.getElementById('conflictInfo');
-    this.queueLength = document.getElementById('queueLength');
-    this.bufferedStrokes = document.getElementById('bufferedStrokes');
-    this.lamportClock = document.getElementById('lamportClock');
+    this.canvas = this.byId('canvas');
+    this.toolButtons = this.root.querySelectorAll('.tool-btn[data-tool]');
+    this.colorPicker = this.byId('colorPicker');
+    this.colorHex = this.byId('colorHex');
+    this.widthRange = this.byId('widthRange');
+    this.widthLabel = this.byId('widthLabel');
+    this.brushPreview = this.byId('brushPreview');
+    this.stabilizerRange = this.byId('stabilizerRange');
+    this.stabilizerLabel = this.byId('stabilizerLabel');
+    this.pressureCurve = this.byId('pressureCurve');
+    this.pressureOpacity = this.byId('pressureOpacity');
+    this.undoBtn = this.byId('undoBtn');
+    this.redoBtn = this.byId('redoBtn');
+    this.clearBtn = this.byId('clearBtn');
+    this.downloadBtn = this.byId('downloadBtn');
+    this.exportSvgBtn = this.byId('exportSvgBtn');
+    this.exportPdfBtn = this.byId('exportPdfBtn');
+    this.insertImageBtn = this.byId('insertImageBtn');
+    this.imageInput = this.byId('imageInput');
+    this.canvasSize = this.byId('canvasSize');
+    this.zoomLevel = this.byId('zoomLevel');
+    this.frameTime = this.byId('frameTime');
+    this.pendingChanges = this.byId('pendingChanges');
+    this.connectionStatus = this.byId('connectionStatus');
+    this.retryNowBtn = this.byId('retryNowBtn');
+    this.diagnosticsOverlay = this.byId('diagnosticsOverlay');
+    this.savedRoomsList = this.byId('savedRoomsList');
+    this.layersList = this.byId('layersList');
+    this.addLayerBtn = this.byId('addLayerBtn');
+    this.historyBtn = this.byId('historyBtn');
+    this.historyPanel = this.byId('historyPanel');
+    this.historyPlayBtn = this.byId('historyPlayBtn');
+    this.historySpeed = this.byId('historySpeed');
+    this.historyScrubber = this.byId('historyScrubber');
+    this.historyPosition = this.byId('historyPosition');
+    this.historyLiveBtn = this.byId('historyLiveBtn');
+    this.historyCloseBtn = this.byId('historyCloseBtn');
+    this.historyList = this.byId('historyList');
+    this.timelapseFps = this.byId('timelapseFps');
+    this.timelapseSize = this.byId('timelapseSize');
+    this.timelapseUsers = this.byId('timelapseUsers');
+    this.exportTimelapseBtn = this.byId('exportTimelapseBtn');
+    this.toolIndicator = this.byId('toolIndicator');
+    this.cursorPreview = this.byId('cursorPreview');
+    
+    this.conflictInfo = this.byId('conflictInfo');
+    this.queueLength = this.byId('queueLength');
+    this.bufferedStrokes = this.byId('bufferedStrokes');
+    this.lamportClock = this.byId('lamportClock');
     
     this.users = new Map();
+    // Summaries of rooms saved in this browser, keyed by roomId
+    this.savedRooms = new Map();
     
     this.remoteCursorsContainer = document.createElement('div');
     this.remoteCursorsContainer.id = 'remote-cursors';
-    document.querySelector('.canvas-wrapper').appendChild(this.remoteCursorsContainer);
+    this.root.querySelector('.canvas-wrapper').appendChild(this.remoteCursorsContainer);
     
     this.canvasManager = new CanvasManager(this.canvas);
-    // Use production backend URL if on Vercel, otherwise use localhost
-    const backendUrl = window.location.hostname === 'real-time-canva.vercel.app' 
-      ? 'https://realtime-canva-server.onrender.com'
-      : 'http://localhost:3000';
-    this.wsClient = new WebSocketClient(backendUrl);
+    this.canvasManager.userId = this.userId;
+    this.canvasManager.isKeyboardTarget = () => activeApp === this;
+    const backendUrl = getBackendUrl(urlParams);
+    // ?batchInterval=ms sends draw batches on a timer instead of once per animation frame
+    const drawBatchInterval = parseInt(urlParams.get('batchInterval'), 10) || 0;
+    const transport = options.transport || createTransport(this.transportKind, backendUrl);
+    this.wsClient = new WebSocketClient(backendUrl, { drawBatchInterval, transport });
     
     this.startConflictMonitoring();
+    this.startFrameMonitoring();
+    this.startConnectionStatus();
     this.init();
   }
   
+  // Elements are looked up inside the app's root, so several apps can share a page
+  byId(id) {
+    return this.root.querySelector(`#${CSS.escape(id)}`);
+  }
+  
   init() {
+    this.root.addEventListener('pointerdown', () => { activeApp = this; }, true);
     this.setupUI();
     this.setupWebSocket();
     this.setupKeyboardShortcuts();
     this.updateUI();
     
+    // The room is joined straight away and the local copy merged in whenever IndexedDB delivers it.
+    // Autosave only starts after that, so a slow restore can't be overwritten by a partial save.
+    this.canvasManager.onAutosave = (summary) => {
+      this.savedRooms.set(summary.roomId, summary);
+      this.renderSavedRooms();
+    };
+    // Operations queued offline are checked against the restored log, so their replay waits for it
+    this.wsClient.stateRestored = this.canvasManager.restoreRoomState(this.roomId).then((restored) => {
+      if (restored) this.showNotification('Restored local copy of this room', 'info');
+      this.canvasManager.enableAutosave(this.roomId);
+    });
     this.wsClient.connect(this.roomId, {
       userId: this.userId,
       username: this.username,
       color: this.userColor
     });
+    this.loadSavedRooms();
     
     this.createUsersPanel();
     this.setupCursorTracking();
   }
   
   setupUI() {
-    this.brushBtn.addEventListener('click', () => {
-      this.canvasManager.setMode('brush');
-      this.updateToolUI();
-    });
-    
-    this.eraserBtn.addEventListener('click', () => {
-      this.canvasManager.setMode('eraser');
-      this.updateToolUI();
+    this.toolButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        this.canvasManager.setMode(button.dataset.tool);
+        this.updateToolUI();
+      });
     });
     
     this.colorPicker.addEventListener('input', (e) => {
@@ -100,88 +225,544 @@ class CollaborativeCanvasApp {
       this.updateBrushPreview();
     });
     
-    this.undoBtn.addEventListener('click', async () => {
-      const success = await this.canvasManager.undo();
-      if (success) {
-        // Broadcast the undo action with the new canvas state (after it's been applied)
-        const canvasData = this.canvasManager.getCanvasData();
-        console.log('Sending undo with canvas data:', canvasData.substring(0, 50) + '...');
-        this.wsClient.sendUndo(canvasData);
-      } else {
-        console.log('Undo failed - nothing to undo');
+    this.stabilizerRange.addEventListener('input', (e) => {
+      const level = parseInt(e.target.value, 10);
+      this.canvasManager.setStabilizer(level);
+      this.stabilizerLabel.textContent = level === 0 ? 'Off' : String(level);
+    });
+    
+    this.pressureCurve.addEventListener('change', (e) => {
+      this.canvasManager.setPressureCurve(e.target.value);
+    });
+    
+    this.pressureOpacity.addEventListener('change', (e) => {
+      this.canvasManager.setPressureOpacity(e.target.checked);
+    });
+    
+    // Undo, redo and clear are broadcast from onStateChange below
+    this.undoBtn.addEventListener('click', () => {
+      if (!this.canvasManager.undo()) {
+        log.debug('Undo failed - nothing to undo');
       }
     });
     
-    this.redoBtn.addEventListener('click', async () => {
-      const success = await this.canvasManager.redo();
-      if (success) {
-        // Broadcast the redo action with the new canvas state (after it's been applied)
-        const canvasData = this.canvasManager.getCanvasData();
-        console.log('Sending redo with canvas data:', canvasData.substring(0, 50) + '...');
-        this.wsClient.sendRedo(canvasData);
-      } else {
-        console.log('Redo failed - nothing to redo');
+    this.redoBtn.addEventListener('click', () => {
+      if (!this.canvasManager.redo()) {
+        log.debug('Redo failed - nothing to redo');
       }
     });
     
     this.clearBtn.addEventListener('click', () => {
       this.canvasManager.clear();
-      this.wsClient.clearCanvas();
     });
     
     this.downloadBtn.addEventListener('click', () => {
       this.canvasManager.download();
     });
     
+    this.exportSvgBtn.addEventListener('click', () => {
+      this.canvasManager.exportVector('svg', (userId) => this.getLayerName(userId));
+    });
+    
+    this.exportPdfBtn.addEventListener('click', () => {
+      this.canvasManager.exportVector('pdf', (userId) => this.getLayerName(userId));
+    });
+    
+    this.setupImageImport();
+    this.setupLayers();
+    this.setupHistory();
+    this.setupTimelapseExport();
+    
     this.canvas.addEventListener('pointermove', (e) => this.updateCursorPreview(e));
     this.canvas.addEventListener('pointerleave', () => this.updateCursorPreview(null));
     this.canvas.addEventListener('pointerenter', (e) => this.updateCursorPreview(e));
     
+    // Clicking the zoom badge fits the document back into the window
+    if (this.zoomLevel) {
+      this.zoomLevel.addEventListener('click', () => this.canvasManager.resetView());
+    }
+    
     this.canvasManager.onStateChange = (type, data) => {
       if (type === 'draw') {
-        console.log('Sending drawing event:', data.type, data.strokeId);
+        log.debug('Sending drawing event:', data.type, data.strokeId);
         this.wsClient.sendDrawing(data);
+      } else if (type === 'undo') {
+        log.debug('Sending undo for stroke:', data.strokeId);
+        this.wsClient.sendUndo(data);
+      } else if (type === 'redo') {
+        log.debug('Sending redo for stroke:', data.strokeId);
+        this.wsClient.sendRedo(data);
+      } else if (type === 'clear') {
+        this.wsClient.clearCanvas(data);
+      } else if (type === 'layer') {
+        this.wsClient.sendLayerUpdate(data);
+      } else if (type === 'view') {
+        this.repositionRemoteCursors();
+      } else if (type === 'image-placement' && data) {
+        this.showNotification('Drag to move, drag the corner to resize, Enter to place, Esc to cancel', 'info');
+      } else if (type === 'layers') {
+        this.renderLayers();
+      } else if (type === 'layer-locked' && data) {
+        this.showNotification(`Layer "${data.name}" is ${data.visible ? 'locked' : 'hidden'}`, 'warning');
+      } else if (type === 'read-only') {
+        this.showNotification('Viewing history - go back to live to draw', 'warning');
       }
       this.updateUI();
     };
   }
   
+  setupLayers() {
+    this.addLayerBtn.addEventListener('click', () => {
+      const name = prompt('Layer name', `Layer ${this.canvasManager.getDrawingLayers().length + 1}`);
+      if (name && name.trim()) this.canvasManager.addDrawingLayer(name.trim());
+    });
+    this.renderLayers();
+  }
+  
+  // Topmost layer first, like in other drawing apps; click a row to draw on that layer
+  renderLayers() {
+    if (!this.layersList) return;
+    this.layersList.innerHTML = '';
+    
+    const layers = this.canvasManager.getDrawingLayers();
+    for (let i = layers.length - 1; i >= 0; i--) {
+      const layer = layers[i];
+      const item = document.createElement('div');
+      item.className = 'layer-item' + (layer.id === this.canvasManager.activeLayerId ? ' active' : '');
+      item.addEventListener('click', () => this.canvasManager.setActiveLayer(layer.id));
+      
+      const button = (icon, title, onClick) => {
+        const btn = document.createElement('button');
+        btn.className = 'layer-btn';
+        btn.title = title;
+        btn.innerHTML = `<i class="fas ${icon}"></i>`;
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          onClick();
+        });
+        return btn;
+      };
+      
+      const name = document.createElement('span');
+      name.className = 'layer-name';
+      name.textContent = layer.name;
+      name.title = 'Double-click to rename';
+      name.addEventListener('dblclick', () => {
+        const renamed = prompt('Layer name', layer.name);
+        if (renamed && renamed.trim()) this.canvasManager.updateDrawingLayer(layer.id, { name: renamed.trim() });
+      });
+      
+      const header = document.createElement('div');
+      header.className = 'layer-header';
+      header.append(
+        button(layer.visible ? 'fa-eye' : 'fa-eye-slash', layer.visible ? 'Hide layer' : 'Show layer',
+          () => this.canvasManager.updateDrawingLayer(layer.id, { visible: !layer.visible })),
+        button(layer.locked ? 'fa-lock' : 'fa-lock-open', layer.locked ? 'Unlock layer' : 'Lock layer',
+          () => this.canvasManager.updateDrawingLayer(layer.id, { locked: !layer.locked })),
+        name,
+        button('fa-chevron-up', 'Move up', () => this.canvasManager.moveDrawingLayer(layer.id, 1)),
+        button('fa-chevron-down', 'Move down', () => this.canvasManager.moveDrawingLayer(layer.id, -1))
+      );
+      
+      // Opacity is sent once the slider is released, not for every step
+      const opacity = document.createElement('input');
+      opacity.type = 'range';
+      opacity.min = '0';
+      opacity.max = '100';
+      opacity.value = String(Math.round(layer.opacity * 100));
+      opacity.title = 'Opacity';
+      opacity.addEventListener('click', (e) => e.stopPropagation());
+      opacity.addEventListener('change', () => {
+        this.canvasManager.updateDrawingLayer(layer.id, { opacity: parseInt(opacity.value, 10) / 100 });
+      });
+      
+      const blend = document.createElement('select');
+      blend.className = 'control-select';
+      blend.title = 'Blend mode';
+      for (const mode of BLEND_MODES) {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = mode.charAt(0).toUpperCase() + mode.slice(1);
+        option.selected = mode === layer.blend;
+        blend.appendChild(option);
+      }
+      blend.addEventListener('click', (e) => e.stopPropagation());
+      blend.addEventListener('change', () => {
+        this.canvasManager.updateDrawingLayer(layer.id, { blend: blend.value });
+      });
+      
+      const settings = document.createElement('div');
+      settings.className = 'layer-settings';
+      settings.append(opacity, blend);
+      
+      item.append(header, settings);
+      this.layersList.appendChild(item);
+    }
+  }
+  
+  // The timeline shows the canvas as it was at any point; while it does, the canvas is read-only
+  setupHistory() {
+    const history = this.canvasManager.history;
+    this.timelapse = new TimelapsePlayer(history, {
+      onStep: (count) => this.showHistoryAt(count),
+      onEnd: () => this.updateHistoryControls()
+    });
+    this.timelapse.speed = parseInt(this.historySpeed.value, 10);
+    
+    this.historyBtn.addEventListener('click', () => {
+      if (this.historyPanel.style.display === 'none') {
+        this.historyPanel.style.display = '';
+        this.renderHistory();
+      } else {
+        this.closeHistory();
+      }
+    });
+    
+    this.historyPlayBtn.addEventListener('click', () => {
+      if (this.timelapse.isPlaying()) {
+        this.timelapse.stop();
+        this.updateHistoryControls();
+      } else {
+        this.timelapse.play(this.canvasManager.historyView ? this.canvasManager.getHistoryPosition() : 0);
+      }
+    });
+    
+    this.historySpeed.addEventListener('change', () => {
+      this.timelapse.speed = parseInt(this.historySpeed.value, 10);
+    });
+    
+    this.historyScrubber.addEventListener('input', () => {
+      this.timelapse.stop();
+      this.showHistoryAt(parseInt(this.historyScrubber.value, 10));
+    });
+    
+    this.historyLiveBtn.addEventListener('click', () => this.showLive());
+    this.historyCloseBtn.addEventListener('click', () => this.closeHistory());
+    
+    // New entries appear in the open timeline as they happen
+    history.onChange = (entry, index) => {
+      if (!this.timelapseUserIds.has(entry.userId)) this.renderTimelapseUsers();
+      if (this.historyPanel.style.display === 'none') return;
+      this.historyList.insertBefore(this.createHistoryEntry(entry), this.historyList.children[index] || null);
+      this.updateHistoryControls();
+    };
+  }
+  
+  renderHistory() {
+    this.historyList.innerHTML = '';
+    for (const entry of this.canvasManager.history.entries) {
+      this.historyList.appendChild(this.createHistoryEntry(entry));
+    }
+    this.updateHistoryControls();
+  }
+  
+  createHistoryEntry(entry) {
+    const item = document.createElement('div');
+    item.className = 'history-entry';
+    
+    const kind = document.createElement('span');
+    kind.className = 'history-kind';
+    kind.textContent = entry.op && entry.op.replaces ? 'Edit text' : HISTORY_KINDS[entry.kind] || entry.kind;
+    const author = document.createElement('span');
+    author.className = 'history-author';
+    author.textContent = entry.userId ? this.getLayerName(entry.userId) : 'You';
+    const time = document.createElement('span');
+    time.className = 'history-time';
+    time.textContent = new Date(entry.time).toLocaleTimeString();
+    
+    // Entries move when older operations arrive late, so the position is looked up on click
+    item.addEventListener('click', () => {
+      this.timelapse.stop();
+      this.showHistoryAt(this.canvasManager.history.entries.indexOf(entry) + 1);
+    });
+    item.append(kind, author, time);
+    return item;
+  }
+  
+  showHistoryAt(count) {
+    this.canvasManager.showHistoryAt(count);
+    this.updateHistoryControls();
+  }
+  
+  showLive() {
+    this.timelapse.stop();
+    this.canvasManager.exitHistoryView();
+    this.updateHistoryControls();
+  }
+  
+  closeHistory() {
+    this.showLive();
+    this.historyPanel.style.display = 'none';
+    this.historyList.innerHTML = '';
+  }
+  
+  updateHistoryControls() {
+    const entries = this.canvasManager.history.entries;
+    const view = this.canvasManager.historyView;
+    const count = this.canvasManager.getHistoryPosition();
+    
+    this.historyScrubber.max = String(entries.length);
+    this.historyScrubber.value = String(count);
+    this.historyPosition.textContent = view
+      ? `${count} / ${entries.length}${count > 0 ? ` · ${new Date(entries[count - 1].time).toLocaleTimeString()}` : ''}`
+      : 'Live';
+    this.historyPlayBtn.innerHTML = `<i class="fas ${this.timelapse.isPlaying() ? 'fa-pause' : 'fa-play'}"></i>`;
+    this.historyPlayBtn.title = this.timelapse.isPlaying() ? 'Pause' : 'Play time-lapse';
+    this.historyLiveBtn.classList.toggle('active', !view);
+    this.root.querySelector('.canvas-wrapper').classList.toggle('read-only', !!view);
+    
+    // Entries after the shown point are dimmed; the last one shown is highlighted
+    if (this.historyPanel.style.display === 'none') return;
+    const items = this.historyList.children;
+    for (let i = 0; i < items.length; i++) {
+      items[i].classList.toggle('future', i >= count);
+      items[i].classList.toggle('current', !!view && i === count - 1);
+    }
+    if (view && count > 0 && items[count - 1]) items[count - 1].scrollIntoView({ block: 'nearest' });
+  }
+  
+  // Users left unticked stay out of the time-lapse; anyone who shows up later is included
+  setupTimelapseExport() {
+    this.timelapseUserIds = new Set();
+    this.timelapseExcluded = new Set();
+    
+    this.exportTimelapseBtn.addEventListener('click', () => {
+      const label = this.exportTimelapseBtn.querySelector('span');
+      const userIds = this.canvasManager.getHistoryUsers().filter(userId => !this.timelapseExcluded.has(userId));
+      if (userIds.length === 0) {
+        this.showNotification('Pick at least one user for the time-lapse', 'warning');
+        return;
+      }
+      
+      this.exportTimelapseBtn.disabled = true;
+      this.canvasManager.exportTimelapse({
+        fps: parseInt(this.timelapseFps.value, 10),
+        size: parseInt(this.timelapseSize.value, 10),
+        userIds,
+        onProgress: (progress) => {
+          label.textContent = `Encoding ${Math.round(progress * 100)}%`;
+        }
+      }).then((exported) => {
+        if (!exported) this.showNotification('Nothing has been drawn yet', 'info');
+      }).catch((error) => {
+        log.error('Failed to export time-lapse:', error);
+        this.showNotification('Could not export the time-lapse', 'error');
+      }).finally(() => {
+        this.exportTimelapseBtn.disabled = false;
+        label.textContent = 'Export time-lapse';
+      });
+    });
+    
+    this.renderTimelapseUsers();
+  }
+  
+  renderTimelapseUsers() {
+    const userIds = this.canvasManager.getHistoryUsers();
+    this.timelapseUserIds = new Set(userIds);
+    this.timelapseUsers.innerHTML = '';
+    
+    if (userIds.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'saved-room-empty';
+      empty.textContent = 'Nothing drawn yet';
+      this.timelapseUsers.appendChild(empty);
+      return;
+    }
+    
+    for (const userId of userIds) {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !this.timelapseExcluded.has(userId);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          this.timelapseExcluded.delete(userId);
+        } else {
+          this.timelapseExcluded.add(userId);
+        }
+      });
+      label.append(checkbox, userId ? this.getLayerName(userId) : 'You');
+      this.timelapseUsers.appendChild(label);
+    }
+  }
+  
+  updatePendingChanges(count) {
+    if (!this.pendingChanges) return;
+    this.pendingChanges.style.display = count > 0 ? '' : 'none';
+    this.pendingChanges.querySelector('span').textContent =
+      `${count} change${count === 1 ? '' : 's'} pending`;
+  }
+  
+  loadSavedRooms() {
+    listSavedRooms().then((rooms) => {
+      this.savedRooms = new Map(rooms.map(room => [room.roomId, room]));
+      this.renderSavedRooms();
+    }).catch((error) => {
+      log.warn('Saved rooms are not available:', error);
+    });
+  }
+  
+  renderSavedRooms() {
+    if (!this.savedRoomsList) return;
+    this.savedRoomsList.innerHTML = '';
+    
+    const rooms = [...this.savedRooms.values()].sort((a, b) => b.savedAt - a.savedAt);
+    if (rooms.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'saved-room-empty';
+      empty.textContent = 'No rooms saved in this browser yet';
+      this.savedRoomsList.appendChild(empty);
+      return;
+    }
+    
+    for (const room of rooms) {
+      const item = document.createElement('div');
+      item.className = 'saved-room-item' + (room.roomId === this.roomId ? ' current' : '');
+      
+      const info = document.createElement('div');
+      info.className = 'saved-room-info';
+      const link = document.createElement('a');
+      link.className = 'saved-room-name';
+      const url = new URL(window.location.href);
+      url.searchParams.set('room', room.roomId);
+      link.href = url.toString();
+      link.textContent = room.roomId === this.roomId ? `${room.roomId} (current)` : room.roomId;
+      const meta = document.createElement('div');
+      meta.className = 'saved-room-meta';
+      meta.textContent = `${room.operationCount} operations · ${new Date(room.savedAt).toLocaleString()}`;
+      info.append(link, meta);
+      
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'saved-room-delete';
+      deleteBtn.title = 'Delete local copy';
+      deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+      deleteBtn.addEventListener('click', () => this.deleteSavedRoom(room.roomId));
+      
+      item.append(info, deleteBtn);
+      this.savedRoomsList.appendChild(item);
+    }
+  }
+  
+  // Only the copy in this browser is removed; the room itself lives on the server and with peers
+  deleteSavedRoom(roomId) {
+    if (!confirm(`Delete the local copy of room "${roomId}"?`)) return;
+    deleteSavedRoom(roomId).then(() => {
+      this.savedRooms.delete(roomId);
+      this.renderSavedRooms();
+      this.showNotification('Local copy deleted', 'info');
+    }).catch((error) => {
+      log.error('Failed to delete saved room:', error);
+      this.showNotification('Could not delete the local copy', 'error');
+    });
+  }
+  
+  // Layer names used in exports: our own username, or the collaborator's
+  getLayerName(userId) {
+    if (!userId) return this.username;
+    const user = this.users.get(userId);
+    return user ? user.username : userId;
+  }
+  
+  // Images can come from the "Insert image" button, the clipboard or drag-and-drop
+  setupImageImport() {
+    const importImage = (file) => {
+      this.canvasManager.importImage(file).catch((error) => {
+        log.error('Image import failed:', error);
+        this.showNotification(error.message, 'error');
+      });
+    };
+    
+    this.insertImageBtn.addEventListener('click', () => this.imageInput.click());
+    this.imageInput.addEventListener('change', () => {
+      const file = this.imageInput.files[0];
+      if (file) importImage(file);
+      this.imageInput.value = '';
+    });
+    
+    window.addEventListener('paste', (e) => {
+      if (activeApp !== this || this.canvasManager.isTypingTarget(e.target)) return;
+      const item = [...e.clipboardData.items].find(entry => entry.type.startsWith('image/'));
+      if (item) {
+        e.preventDefault();
+        importImage(item.getAsFile());
+      }
+    });
+    
+    const wrapper = this.root.querySelector('.canvas-wrapper');
+    wrapper.addEventListener('dragover', (e) => {
+      if ([...e.dataTransfer.types].includes('Files')) {
+        e.preventDefault();
+        wrapper.classList.add('drag-over');
+      }
+    });
+    wrapper.addEventListener('dragleave', () => wrapper.classList.remove('drag-over'));
+    wrapper.addEventListener('drop', (e) => {
+      wrapper.classList.remove('drag-over');
+      const file = [...e.dataTransfer.files].find(entry => entry.type.startsWith('image/'));
+      if (file) {
+        e.preventDefault();
+        importImage(file);
+      }
+    });
+  }
+  
   setupWebSocket() {
+    this.wsClient.reconcileOperation = (event, data) => this.canvasManager.reconcileOperation(OFFLINE_OPERATION_KINDS[event], data);
+    this.wsClient.onPendingChange = (count) => this.updatePendingChanges(count);
+    // The queued operations are only kept on a reload if the log they belong to is saved with them
+    this.wsClient.onQueueSave = () => this.canvasManager.saveRoomState();
+    
     this.wsClient.onConnect = () => {
-      console.log('WebSocket connected');
-      this.showNotification('Connected to server', 'success');
+      log.info('WebSocket connected');
+      const peerMode = this.wsClient.transport instanceof BroadcastChannelTransport;
+      this.showNotification(peerMode ? 'Sharing this room with other tabs' : 'Connected to server', 'success');
       this.wsClient.requestCanvasState();
     };
     
     this.wsClient.onUsernameAssigned = (username) => {
-      console.log('Assigned username:', username);
+      log.info('Assigned username:', username);
       this.username = username;
-      const roomInfo = document.querySelector('.room-info');
+      const roomInfo = this.root.querySelector('.room-info');
       if (roomInfo) {
-        roomInfo.innerHTML = `
-          <i class="fas fa-door-open"></i> 
-          Room: ${this.roomId.substring(0, 8)}... | 
-          <i class="fas fa-user"></i> ${this.username}
-        `;
+        // Room IDs come from the URL and usernames from the server, so both are set as text
+        const roomIcon = document.createElement('i');
+        roomIcon.className = 'fas fa-door-open';
+        const userIcon = document.createElement('i');
+        userIcon.className = 'fas fa-user';
+        roomInfo.replaceChildren(
+          roomIcon,
+          ` Room: ${this.roomId.substring(0, 8)}... | `,
+          userIcon,
+          ` ${this.username}`
+        );
       }
     };
     
     this.wsClient.onDisconnect = () => {
-      console.log('WebSocket disconnected');
+      log.info('WebSocket disconnected');
       this.showNotification('Disconnected from server', 'warning');
     };
     
     this.wsClient.onDrawing = (drawData) => {
-      console.log('Received drawing event:', drawData.type, drawData.userId, drawData.strokeId);
-      this.canvasManager.applyRemoteDrawing(drawData);
+      log.debug('Received drawing event:', drawData.type, drawData.userId, drawData.strokeId, drawData.clock);
+      this.canvasManager.receiveRemoteOperation('draw', drawData);
     };
     
+    // Peers answer with their layers tagged by user; servers that keep a raster still send canvasData
     this.wsClient.onCanvasState = (data) => {
-      if (data.canvasData) {
-        this.canvasManager.loadCanvasData(data.canvasData);
+      if (data.snapshot) {
+        this.canvasManager.loadRoomSnapshot(data.snapshot, data.userId);
+      } else if (typeof data.canvasData === 'string') {
+        this.canvasManager.loadCanvasData(data.canvasData, data.userId);
       }
     };
     
+    // Newcomers ask for the room's state when they connect; that request is the only time it is sent
+    this.wsClient.onCanvasStateRequest = (data) => {
+      this.wsClient.sendCanvasState(this.canvasManager.getRoomSnapshot(), data.userId);
+    };
+    
     this.wsClient.onUserJoin = (data) => {
       this.users.set(data.userId, {
         userId: data.userId,
@@ -217,10 +798,10 @@ class CollaborativeCanvasApp {
     };
     
     this.wsClient.onClearCanvas = (data) => {
-      console.log('Clear canvas event received from:', data.userId);
+      log.debug('Clear canvas event received from:', data.userId);
       // Only clear remote canvas if someone else cleared their drawings
       if (data.userId !== this.userId) {
-        this.canvasManager.clearRemoteCanvas(data.userId);
+        this.canvasManager.receiveRemoteOperation('clear', data);
         const user = this.users.get(data.userId);
         const username = user ? user.username : 'Someone';
         this.showNotification(`${username} cleared their drawings`, 'info');
@@ -228,10 +809,10 @@ class CollaborativeCanvasApp {
     };
     
     this.wsClient.onUndo = (data) => {
-      console.log('Undo event received from:', data.userId, 'Has canvas data:', !!data.canvasData);
-      // Update the remote user's canvas with their undo state
-      if (data.canvasData && data.userId) {
-        this.canvasManager.updateRemoteCanvas(data.userId, data.canvasData);
+      log.debug('Undo event received from:', data.userId, 'Stroke:', data.strokeId);
+      // Hide the undone stroke in our copy of the remote user's layer
+      if (data.strokeId && data.userId) {
+        this.canvasManager.receiveRemoteOperation('undo', data);
         const user = this.users.get(data.userId);
         const username = user ? user.username : 'Someone';
         this.showNotification(`${username} undid their action`, 'info');
@@ -239,16 +820,20 @@ class CollaborativeCanvasApp {
     };
     
     this.wsClient.onRedo = (data) => {
-      console.log('Redo event received from:', data.userId, 'Has canvas data:', !!data.canvasData);
-      // Update the remote user's canvas with their redo state
-      if (data.canvasData && data.userId) {
-        this.canvasManager.updateRemoteCanvas(data.userId, data.canvasData);
+      log.debug('Redo event received from:', data.userId, 'Stroke:', data.strokeId);
+      // Restore the redone stroke in our copy of the remote user's layer
+      if (data.strokeId && data.userId) {
+        this.canvasManager.receiveRemoteOperation('redo', data);
         const user = this.users.get(data.userId);
         const username = user ? user.username : 'Someone';
         this.showNotification(`${username} redid their action`, 'info');
       }
     };
     
+    this.wsClient.onLayerUpdate = (data) => {
+      this.canvasManager.receiveRemoteOperation('layer', data);
+    };
+    
     this.wsClient.onUsersUpdate = (users) => {
       this.users.clear();
       users.forEach(user => {
@@ -260,45 +845,47 @@ class CollaborativeCanvasApp {
     };
     
     this.wsClient.onError = (error) => {
-      console.error('WebSocket error:', error);
+      log.error('WebSocket error:', error);
     };
   }
   
   setupKeyboardShortcuts() {
-    window.addEventListener('keydown', async (e) => {
+    window.addEventListener('keydown', (e) => {
+      // Leave keys alone while typing into the text editor or a form field
+      if (activeApp !== this || this.canvasManager.isTypingTarget(e.target)) return;
+      
       const ctrl = e.ctrlKey || e.metaKey;
       
       if (ctrl && e.key.toLowerCase() === 'z') {
         e.preventDefault();
         if (e.shiftKey) {
-          const success = await this.canvasManager.redo();
-          if (success) {
-            const canvasData = this.canvasManager.getCanvasData();
-            this.wsClient.sendRedo(canvasData);
-          }
+          this.canvasManager.redo();
         } else {
-          const success = await this.canvasManager.undo();
-          if (success) {
-            const canvasData = this.canvasManager.getCanvasData();
-            this.wsClient.sendUndo(canvasData);
-          }
+          this.canvasManager.undo();
         }
       } else if (ctrl && e.key.toLowerCase() === 'y') {
         e.preventDefault();
-        const success = await this.canvasManager.redo();
-        if (success) {
-          const canvasData = this.canvasManager.getCanvasData();
-          this.wsClient.sendRedo(canvasData);
-        }
-      }
-      else if (e.key.toLowerCase() === 'b' && !ctrl) {
+        this.canvasManager.redo();
+      } else if (ctrl && e.key === '0') {
         e.preventDefault();
-        this.canvasManager.setMode('brush');
-        this.updateToolUI();
-      } else if (e.key.toLowerCase() === 'e' && !ctrl) {
+        this.canvasManager.resetView();
+      } else if (e.key === 'F2') {
         e.preventDefault();
-        this.canvasManager.setMode('eraser');
-        this.updateToolUI();
+        this.toggleDiagnostics();
+      } else if (ctrl && e.key.toLowerCase() === 'd' && this.canvasManager.mode === 'select') {
+        e.preventDefault();
+        this.canvasManager.selection.duplicateSelection();
+      } else if ((e.key === 'Delete' || e.key === 'Backspace') && this.canvasManager.selection.deleteSelection()) {
+        e.preventDefault();
+      } else if (e.key === 'Escape' && this.canvasManager.mode === 'select') {
+        this.canvasManager.selection.clear();
+      } else if (!ctrl && !e.altKey) {
+        const tool = Object.keys(TOOLS).find(name => TOOLS[name].key === e.key.toLowerCase());
+        if (tool) {
+          e.preventDefault();
+          this.canvasManager.setMode(tool);
+          this.updateToolUI();
+        }
       }
     });
   }
@@ -311,18 +898,13 @@ class CollaborativeCanvasApp {
   
   updateToolUI() {
     const mode = this.canvasManager.mode;
+    const tool = TOOLS[mode] || TOOLS.brush;
     
-    if (mode === 'eraser') {
-      this.eraserBtn.classList.add('active');
-      this.brushBtn.classList.remove('active');
-      this.toolIndicator.querySelector('i').className = 'fas fa-eraser';
-      this.toolIndicator.querySelector('span').textContent = 'Eraser Mode';
-    } else {
-      this.brushBtn.classList.add('active');
-      this.eraserBtn.classList.remove('active');
-      this.toolIndicator.querySelector('i').className = 'fas fa-paintbrush';
-      this.toolIndicator.querySelector('span').textContent = 'Brush Mode';
-    }
+    this.toolButtons.forEach(button => {
+      button.classList.toggle('active', button.dataset.tool === mode);
+    });
+    this.toolIndicator.querySelector('i').className = `fas ${tool.icon}`;
+    this.toolIndicator.querySelector('span').textContent = `${tool.label} Mode`;
   }
   
   updateBrushPreview() {
@@ -335,21 +917,29 @@ class CollaborativeCanvasApp {
   }
   
   updateCanvasSizeDisplay() {
-    if (!this.canvasSize) return;
+    if (this.canvasSize) {
+      this.canvasSize.querySelector('span').textContent = 
+        `${this.canvasManager.documentWidth} × ${this.canvasManager.documentHeight}`;
+    }
     
-    this.canvasSize.querySelector('span').textContent = 
-      `${this.canvas.width} × ${this.canvas.height}`;
+    if (this.zoomLevel) {
+      this.zoomLevel.querySelector('span').textContent = 
+        `${Math.round(this.canvasManager.view.scale * 100)}%`;
+    }
   }
   
   updateCursorPreview(e) {
     if (!this.cursorPreview) return;
     
-    if (e) {
+    // The text and select tools use the regular cursor instead of the brush outline
+    if (e && this.canvasManager.mode !== 'text' && this.canvasManager.mode !== 'select') {
       const rect = this.canvas.getBoundingClientRect();
       this.cursorPreview.style.left = e.clientX - rect.left + 'px';
       this.cursorPreview.style.top = e.clientY - rect.top + 'px';
-      this.cursorPreview.style.width = this.canvasManager.lineWidth + 'px';
-      this.cursorPreview.style.height = this.canvasManager.lineWidth + 'px';
+      // Brush width is in document units, so scale it like the strokes themselves
+      const size = this.canvasManager.lineWidth * this.canvasManager.view.scale;
+      this.cursorPreview.style.width = size + 'px';
+      this.cursorPreview.style.height = size + 'px';
       this.cursorPreview.style.opacity = '1';
       
       if (this.canvasManager.mode === 'eraser') {
@@ -363,7 +953,7 @@ class CollaborativeCanvasApp {
   }
   
   showNotification(message, type = 'info') {
-    console.log(`[${type.toUpperCase()}] ${message}`);
+    log.info(`[${type.toUpperCase()}] ${message}`);
     
     // Create toast container if it doesn't exist
     let toastContainer = document.getElementById('toast-container');
@@ -420,10 +1010,13 @@ class CollaborativeCanvasApp {
       font-size: 14px;
     `;
     
-    toast.innerHTML = `
-      <i class="fas ${icons[type]}" style="color: ${colors[type]}; font-size: 18px;"></i>
-      <span>${message}</span>
-    `;
+    const icon = document.createElement('i');
+    icon.className = `fas ${icons[type]}`;
+    icon.style.cssText = `color: ${colors[type]}; font-size: 18px;`;
+    // Messages often include usernames, so they are never parsed as HTML
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.append(icon, text);
     
     // Add animation keyframes if not already added
     if (!document.getElementById('toast-animations')) {
@@ -466,7 +1059,7 @@ class CollaborativeCanvasApp {
   }
   
   createUsersPanel() {
-    const sidebar = document.querySelector('.sidebar');
+    const sidebar = this.root.querySelector('.sidebar');
     const usersCard = document.createElement('div');
     usersCard.className = 'tool-card';
     usersCard.innerHTML = `
@@ -483,8 +1076,8 @@ class CollaborativeCanvasApp {
   }
   
   updateUsersList() {
-    const usersList = document.getElementById('usersList');
-    const userCount = document.getElementById('userCount');
+    const usersList = this.byId('usersList');
+    const userCount = this.byId('userCount');
     
     if (!usersList) return;
     
@@ -507,22 +1100,68 @@ class CollaborativeCanvasApp {
     if (userCount) {
       userCount.textContent = this.users.size + 1;
     }
+    
+    // Names of users who joined after drawing started are only known now
+    if (this.timelapseUserIds) this.renderTimelapseUsers();
   }
   
   createUserElement(user) {
     const userEl = document.createElement('div');
     userEl.className = 'user-item';
-    userEl.innerHTML = `
-      <div class="user-avatar" style="background: ${user.color}">
-        ${user.username.charAt(0).toUpperCase()}
-      </div>
-      <div class="user-info">
-        <div class="user-name">${user.username}</div>
-      </div>
-    `;
+    const username = String(user.username || '');
+    
+    const avatar = document.createElement('div');
+    avatar.className = 'user-avatar';
+    avatar.style.background = safeColor(user.color, DEFAULT_USER_COLOR);
+    avatar.textContent = username.charAt(0).toUpperCase();
+    
+    const info = document.createElement('div');
+    info.className = 'user-info';
+    const name = document.createElement('div');
+    name.className = 'user-name';
+    name.textContent = username;
+    info.appendChild(name);
+    // Peer tabs that stopped sending heartbeats; their drawings stay until they leave for good
+    if (user.away) {
+      userEl.classList.add('away');
+      name.textContent = `${username} (away)`;
+    }
+    
+    userEl.append(avatar, info);
+    userEl.appendChild(this.createUserDisplayControls(user.userId === this.userId ? null : user.userId));
     return userEl;
   }
   
+  // Hide, dim or solo someone's drawings on this screen only
+  createUserDisplayControls(layerUserId) {
+    const canvasManager = this.canvasManager;
+    const display = canvasManager.getUserDisplay(layerUserId);
+    const controls = document.createElement('div');
+    controls.className = 'user-controls';
+    
+    const button = (icon, title, active, onClick) => {
+      const btn = document.createElement('button');
+      btn.className = 'user-control-btn' + (active ? ' active' : '');
+      btn.title = title;
+      btn.innerHTML = `<i class="fas ${icon}"></i>`;
+      btn.addEventListener('click', () => {
+        onClick();
+        this.updateUsersList();
+      });
+      return btn;
+    };
+    
+    controls.append(
+      button(display === 'hidden' ? 'fa-eye-slash' : 'fa-eye', display === 'hidden' ? 'Show drawings' : 'Hide drawings', display === 'hidden',
+        () => canvasManager.setUserDisplay(layerUserId, display === 'hidden' ? 'visible' : 'hidden')),
+      button('fa-adjust', display === 'dim' ? 'Undim drawings' : 'Dim drawings to 30%', display === 'dim',
+        () => canvasManager.setUserDisplay(layerUserId, display === 'dim' ? 'visible' : 'dim')),
+      button('fa-bullseye', canvasManager.isSoloed(layerUserId) ? 'Show everyone' : 'Show only this person', canvasManager.isSoloed(layerUserId),
+        () => canvasManager.toggleSolo(layerUserId))
+    );
+    return controls;
+  }
+  
   // Throttle cursor position updates to reduce network traffic
   setupCursorTracking() {
     let lastSent = 0;
@@ -532,12 +1171,8 @@ class CollaborativeCanvasApp {
       const now = Date.now();
       if (now - lastSent < throttleMs) return;
       
-      const rect = this.canvas.getBoundingClientRect();
-      // Send normalized coordinates (0-1 range) for resolution-independent positioning
-      const pos = {
-        x: (e.clientX - rect.left) / rect.width,
-        y: (e.clientY - rect.top) / rect.height
-      };
+      // Send document coordinates so cursors line up with strokes on every screen size
+      const pos = this.canvasManager.getPointerPos(e);
       
       this.wsClient.sendCursorPosition(pos);
       lastSent = now;
@@ -551,32 +1186,62 @@ class CollaborativeCanvasApp {
   updateRemoteCursor(userId, username, color, pos) {
     if (!pos) {
       // Remove cursor
-      const cursor = document.getElementById(`cursor-${userId}`);
+      const cursor = this.byId(`cursor-${userId}`);
       if (cursor) cursor.remove();
       return;
     }
     
-    let cursor = document.getElementById(`cursor-${userId}`);
+    let cursor = this.byId(`cursor-${userId}`);
     
     if (!cursor) {
       cursor = document.createElement('div');
       cursor.id = `cursor-${userId}`;
       cursor.className = 'remote-cursor';
-      cursor.innerHTML = `
-        <svg width="24" height="24" viewBox="0 0 24 24" fill="${color}">
-          <path d="M7 2L18 13L13 14L10 19L7 2Z" stroke="${color}" stroke-width="1"/>
-        </svg>
-        <div class="remote-cursor-label" style="background: ${color}">${username}</div>
-      `;
+      const cursorColor = safeColor(color, DEFAULT_USER_COLOR);
+      
+      const svg = document.createElementNS(SVG_NS, 'svg');
+      svg.setAttribute('width', '24');
+      svg.setAttribute('height', '24');
+      svg.setAttribute('viewBox', '0 0 24 24');
+      svg.setAttribute('fill', cursorColor);
+      const path = document.createElementNS(SVG_NS, 'path');
+      path.setAttribute('d', 'M7 2L18 13L13 14L10 19L7 2Z');
+      path.setAttribute('stroke', cursorColor);
+      path.setAttribute('stroke-width', '1');
+      svg.appendChild(path);
+      
+      const label = document.createElement('div');
+      label.className = 'remote-cursor-label';
+      label.style.background = cursorColor;
+      label.textContent = username;
+      
+      cursor.append(svg, label);
       this.remoteCursorsContainer.appendChild(cursor);
     }
     
-    const rect = this.canvas.getBoundingClientRect();
-    cursor.style.left = (pos.x * rect.width) + 'px';
-    cursor.style.top = (pos.y * rect.height) + 'px';
+    // Remember the document position so the cursor can follow pan and zoom
+    cursor.dataset.x = pos.x;
+    cursor.dataset.y = pos.y;
+    this.positionRemoteCursor(cursor);
     cursor.style.display = 'block';
   }
   
+  positionRemoteCursor(cursor) {
+    const screenPos = this.canvasManager.documentToScreen({
+      x: parseFloat(cursor.dataset.x),
+      y: parseFloat(cursor.dataset.y)
+    });
+    cursor.style.left = screenPos.x + 'px';
+    cursor.style.top = screenPos.y + 'px';
+  }
+  
+  repositionRemoteCursors() {
+    if (!this.remoteCursorsContainer) return;
+    for (const cursor of this.remoteCursorsContainer.children) {
+      this.positionRemoteCursor(cursor);
+    }
+  }
+  
   // Start monitoring conflict resolution metrics
   startConflictMonitoring() {
     setInterval(() => {
@@ -610,9 +1275,113 @@ class CollaborativeCanvasApp {
       }
     }, 200); // Update every 200ms
   }
+  
+  // F2 shows network and rendering figures for lag reports; rates are the change since the last sample
+  toggleDiagnostics() {
+    if (!this.diagnosticsOverlay) return;
+    const visible = this.diagnosticsOverlay.style.display === 'none';
+    this.diagnosticsOverlay.style.display = visible ? '' : 'none';
+    this.wsClient.measureTraffic = visible;
+    
+    clearInterval(this.diagnosticsTimer);
+    if (!visible) return;
+    this.diagnosticsSample = { time: performance.now(), stats: this.wsClient.getNetworkStats() };
+    this.renderDiagnostics({ sent: 0, received: 0, bytes: {} });
+    this.diagnosticsTimer = setInterval(() => {
+      const time = performance.now();
+      const stats = this.wsClient.getNetworkStats();
+      const previous = this.diagnosticsSample.stats;
+      const seconds = (time - this.diagnosticsSample.time) / 1000;
+      
+      const bytes = {};
+      for (const direction of ['sent', 'received']) {
+        for (const [event, total] of Object.entries(stats[direction].bytes)) {
+          const rate = (total - (previous[direction].bytes[event] || 0)) / seconds;
+          if (!bytes[event]) bytes[event] = { sent: 0, received: 0 };
+          bytes[event][direction] = rate;
+        }
+      }
+      this.renderDiagnostics({
+        sent: (stats.sent.events - previous.sent.events) / seconds,
+        received: (stats.received.events - previous.received.events) / seconds,
+        bytes
+      });
+      this.diagnosticsSample = { time, stats };
+    }, 1000);
+  }
+  
+  renderDiagnostics(rates) {
+    const { rtt, averageRtt, dropped } = this.wsClient.getNetworkStats();
+    const frame = this.canvasManager.getFrameStats();
+    const ms = (value) => value === null ? '-' : `${value.toFixed(1)} ms`;
+    const kb = (value) => `${(value / 1024).toFixed(1)} KB/s`;
+    
+    const rows = [
+      ['RTT', `${ms(rtt)} (avg ${ms(averageRtt)})`],
+      ['Events sent', `${rates.sent.toFixed(1)}/s`],
+      ['Events received', `${rates.received.toFixed(1)}/s`],
+      ['Dropped messages', String(dropped)],
+      ['Remote layers', String(this.canvasManager.remoteCanvases.size)],
+      ['Frame time', `${ms(frame.averageFrameTime)} (max ${ms(frame.maxFrameTime)})`]
+    ];
+    for (const [event, { sent, received }] of Object.entries(rates.bytes).sort()) {
+      if (sent > 0 || received > 0) rows.push([event, `↑ ${kb(sent)} ↓ ${kb(received)}`]);
+    }
+    
+    this.diagnosticsOverlay.innerHTML = '';
+    const title = document.createElement('div');
+    title.className = 'diagnostics-title';
+    title.textContent = 'Diagnostics (F2)';
+    this.diagnosticsOverlay.appendChild(title);
+    for (const [label, value] of rows) {
+      const row = document.createElement('div');
+      row.className = 'diagnostics-row';
+      const name = document.createElement('span');
+      name.textContent = label;
+      const figure = document.createElement('span');
+      figure.textContent = value;
+      row.append(name, figure);
+      this.diagnosticsOverlay.appendChild(row);
+    }
+  }
+  
+  // The countdown to the next reconnection attempt ticks every second
+  startConnectionStatus() {
+    if (!this.connectionStatus) return;
+    this.retryNowBtn.addEventListener('click', () => this.wsClient.retryNow());
+    this.wsClient.onStatusChange = () => this.updateConnectionStatus();
+    setInterval(() => {
+      if (this.wsClient.status === 'reconnecting') this.updateConnectionStatus();
+    }, 1000);
+    this.updateConnectionStatus();
+  }
+  
+  updateConnectionStatus() {
+    const { status, retryAt } = this.wsClient;
+    const labels = {
+      connected: 'Connected',
+      connecting: 'Connecting...',
+      reconnecting: `Reconnecting in ${Math.max(0, Math.ceil((retryAt - Date.now()) / 1000))}s`,
+      offline: 'Offline'
+    };
+    this.connectionStatus.className = `info-badge connection-badge ${status}`;
+    this.connectionStatus.querySelector('span').textContent = labels[status];
+  }
+  
+  // Average compositing time per frame, smoothed over recent frames
+  startFrameMonitoring() {
+    setInterval(() => {
+      if (!this.frameTime || !this.canvasManager) return;
+      
+      const stats = this.canvasManager.getFrameStats();
+      this.frameTime.querySelector('span').textContent = `${stats.averageFrameTime.toFixed(1)} ms`;
+      this.frameTime.title = `Average time spent compositing a frame (last ${stats.lastFrameTime.toFixed(1)} ms, max ${stats.maxFrameTime.toFixed(1)} ms)`;
+    }, 500);
+  }
 }
 
-// Initialize app when DOM is ready
+// Initialize app when DOM is ready, unless the page sets window.CANVAS_CONFIG.autoStart to false
+// to create its apps itself
 document.addEventListener('DOMContentLoaded', () => {
-  new CollaborativeCanvasApp();
+  if ((window.CANVAS_CONFIG || {}).autoStart !== false) new CollaborativeCanvasApp();
 });
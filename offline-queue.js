@@ -0,0 +1,82 @@
+import { getRecord, putRecord, deleteRecord } from './storage.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('queue');
+
+// Socket events that could not be sent because we were disconnected, in the order they were made.
+// Entries are { event, payload } and are mirrored to IndexedDB so they survive a reload.
+export class OfflineQueue {
+  constructor() {
+    this.entries = [];
+    this.key = null;
+    this.saveTimer = null;
+    this.onChange = null;
+    // Called whenever the queue is written, so the app can save the state the entries refer to with it
+    this.onSave = null;
+
+    this.SAVE_DELAY_MS = 300;
+  }
+
+  // Entries saved by an earlier session come before anything queued since
+  async load(roomId, userId) {
+    this.key = `${roomId}:${userId}`;
+    try {
+      const record = await getRecord('outbox', this.key);
+      if (record && record.entries.length > 0) {
+        this.entries = [...record.entries, ...this.entries];
+        this.notify();
+      }
+      if (this.entries.length > 0) this.scheduleSave();
+    } catch (error) {
+      log.warn('Offline queue is not persisted:', error);
+    }
+  }
+
+  push(event, payload) {
+    this.entries.push({ event, payload });
+    this.scheduleSave();
+    this.notify();
+  }
+
+  takeAll() {
+    const entries = this.entries;
+    this.entries = [];
+    this.save();
+    this.notify();
+    return entries;
+  }
+
+  // Changes as the user sees them: a stroke counts once, not once per streamed point
+  getPendingCount() {
+    let count = 0;
+    for (const { event, payload } of this.entries) {
+      if (event !== 'drawing') {
+        count += 1;
+      } else {
+        count += (payload.events || []).filter(e => e.type !== 'start' && e.type !== 'move').length;
+      }
+    }
+    return count;
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), this.SAVE_DELAY_MS);
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.key) return;
+
+    const write = this.entries.length > 0
+      ? putRecord('outbox', { key: this.key, entries: this.entries })
+      : deleteRecord('outbox', this.key);
+    write.catch(error => log.warn('Failed to save offline queue:', error));
+    if (this.onSave) this.onSave();
+  }
+
+  notify() {
+    if (this.onChange) this.onChange(this.getPendingCount());
+  }
+}
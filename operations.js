@@ -0,0 +1,479 @@
+// Drawing operations are plain objects so they can be sent over the socket and replayed:
+// { id, tool: 'brush' | 'eraser' | 'clear' | 'snapshot' | 'image' | shape tool, color, width, points, hidden }
+// Snapshots and images are bitmaps placed at x/y/width/height; `image` is the loaded element.
+// Shapes store their two defining corners (or end points) in points.
+// Text stores its top-left corner in points[0] plus text and fontSize; an edit is a new
+// text operation whose `replaces` names the one it supersedes, so undo restores the old text.
+// Selection edits are operations too: 'transform' applies a matrix to its targets, 'delete'
+// removes them and 'duplicate' adds copies ({ id, source, matrix } items) of earlier operations.
+// Matrices use the canvas [a, b, c, d, e, f] layout.
+// Pen strokes add a pressure factor `p` (0..1) to each point; `pressureOpacity` makes it fade too.
+// Drawn operations name the drawing layer they belong to in `layer`.
+
+export const SHAPE_TOOLS = ['line', 'rect', 'ellipse', 'arrow'];
+
+export function isShapeTool(tool) {
+  return SHAPE_TOOLS.includes(tool);
+}
+
+export function arrowHeadSize(width) {
+  return Math.max(12, width * 3);
+}
+
+// Width of a pressure stroke at zero pressure, relative to the brush width
+export const MIN_PRESSURE_WIDTH = 0.15;
+
+export function hasPressure(op) {
+  return !!op.points && op.points.some(point => typeof point.p === 'number');
+}
+
+function pressureOf(point) {
+  return typeof point.p === 'number' ? point.p : 1;
+}
+
+// Width and opacity of the segment between two points of a stroke
+export function segmentStyle(op, a, b) {
+  const p = (pressureOf(a) + pressureOf(b)) / 2;
+  return {
+    width: op.width * (MIN_PRESSURE_WIDTH + (1 - MIN_PRESSURE_WIDTH) * p),
+    alpha: op.pressureOpacity ? 0.2 + 0.8 * p : 1
+  };
+}
+
+function midpoint(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+// Strokes are drawn as quadratic curves through the midpoints of their samples:
+// a line from the first point to the first midpoint, a curve around every inner point,
+// and a line from the last midpoint to the last point. Piece i is complete as soon as
+// point i + 1 exists, so a growing stroke can draw exactly what the final replay draws.
+export function strokePiece(op, i) {
+  const points = op.points;
+  const last = points.length - 1;
+  if (i === 0) {
+    return { from: points[0], to: midpoint(points[0], points[1]), style: segmentStyle(op, points[0], points[1]) };
+  }
+  if (i === last) {
+    return { from: midpoint(points[last - 1], points[last]), to: points[last], style: segmentStyle(op, points[last - 1], points[last]) };
+  }
+  return {
+    from: midpoint(points[i - 1], points[i]),
+    control: points[i],
+    to: midpoint(points[i], points[i + 1]),
+    style: segmentStyle(op, points[i], points[i])
+  };
+}
+
+// Consecutive pieces sharing a (quantized) width and opacity, so a pressure stroke is drawn
+// as a few paths instead of overlapping at every joint
+export function strokeRuns(op) {
+  const runs = [];
+  if (!op.points || op.points.length < 2) return runs;
+
+  const pressure = hasPressure(op);
+  let run = null;
+  for (let i = 0; i < op.points.length; i++) {
+    const piece = strokePiece(op, i);
+    const width = pressure ? Math.max(0.5, Math.round(piece.style.width * 2) / 2) : op.width;
+    const alpha = Math.round(piece.style.alpha * 10) / 10;
+    if (!run || run.width !== width || run.alpha !== alpha) {
+      run = { width, alpha, pieces: [] };
+      runs.push(run);
+    }
+    run.pieces.push(piece);
+  }
+  return runs;
+}
+
+// Most points of a freehand stroke can be dropped without visibly changing it, so strokes are
+// simplified while they are drawn and only the points that stay are sent. A point is held back
+// until a later one shows that the line can't skip it, i.e. dropping it would move the line
+// (or, for pressure strokes, its edge) by more than the tolerance. Points are also let go after
+// MAX_HELD_POINTS, so peers never lag far behind on long straight runs.
+const MAX_HELD_POINTS = 32;
+
+export function createPointSimplifier(first, tolerance, width = 0) {
+  const points = [first];
+  let held = [];
+
+  return {
+    // The points kept so far
+    points,
+
+    // Add the next point; returns the point this settles, or null while it is still held back
+    add(point) {
+      const anchor = points[points.length - 1];
+      const settled = held.length > 0 && (held.length >= MAX_HELD_POINTS ||
+        held.some(candidate => simplificationError(candidate, anchor, point, width) > tolerance));
+      let result = null;
+      if (settled) {
+        result = held[held.length - 1];
+        points.push(result);
+        held = [];
+      }
+      held.push(point);
+      return result;
+    },
+
+    // The stroke ended: keep its last point, if it was still held back
+    finish() {
+      const last = held.length > 0 ? held[held.length - 1] : null;
+      if (last) points.push(last);
+      held = [];
+      return last;
+    }
+  };
+}
+
+function simplificationError(point, a, b, width) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+  const distance = Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+  if (typeof point.p !== 'number') return distance;
+
+  const p = pressureOf(a) + (pressureOf(b) - pressureOf(a)) * t;
+  return Math.max(distance, Math.abs(point.p - p) * width * (1 - MIN_PRESSURE_WIDTH) / 2);
+}
+
+export const TEXT_LINE_HEIGHT = 1.25;
+
+export function textFont(fontSize) {
+  return `${fontSize}px 'Inter', 'Segoe UI', sans-serif`;
+}
+
+let measureCtx = null;
+
+// Document-space box covered by a text operation
+export function measureText(op) {
+  if (!measureCtx) measureCtx = document.createElement('canvas').getContext('2d');
+  measureCtx.font = textFont(op.fontSize);
+
+  const lines = op.text.split('\n');
+  const width = Math.max(0, ...lines.map(line => measureCtx.measureText(line).width));
+  const { x, y } = op.points[0];
+  return { x, y, width, height: lines.length * op.fontSize * TEXT_LINE_HEIGHT };
+}
+
+// Ids of operations superseded by a later visible edit
+export function getReplacedIds(operations) {
+  const replaced = new Set();
+  for (const op of operations) {
+    if (!op.hidden && op.replaces) replaced.add(op.replaces);
+  }
+  return replaced;
+}
+
+// The two barbs of an arrow pointing from a to b, as [left, tip, right]
+export function arrowHeadPoints(a, b, width) {
+  const angle = Math.atan2(b.y - a.y, b.x - a.x);
+  const head = arrowHeadSize(width);
+  return [
+    { x: b.x - head * Math.cos(angle - Math.PI / 6), y: b.y - head * Math.sin(angle - Math.PI / 6) },
+    b,
+    { x: b.x - head * Math.cos(angle + Math.PI / 6), y: b.y - head * Math.sin(angle + Math.PI / 6) }
+  ];
+}
+
+export const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+// m1 after m2
+export function multiplyMatrix(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+  ];
+}
+
+export function transformPoint(m, p) {
+  return { x: m[0] * p.x + m[2] * p.y + m[4], y: m[1] * p.x + m[3] * p.y + m[5] };
+}
+
+export function invertMatrix(m) {
+  const det = m[0] * m[3] - m[1] * m[2];
+  return [
+    m[3] / det,
+    -m[1] / det,
+    -m[2] / det,
+    m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det,
+    (m[1] * m[4] - m[0] * m[5]) / det
+  ];
+}
+
+// Uniform scale factor of a matrix (rotation and translation ignored)
+export function matrixScale(m) {
+  return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+}
+
+export function isIdentityMatrix(m) {
+  return m.every((value, i) => Math.abs(value - IDENTITY_MATRIX[i]) < 1e-9);
+}
+
+// Operations that contribute to a layer's current picture, in drawing order:
+// not hidden by undo, superseded by an edit, deleted, or wiped by a later clear.
+// Duplicates are expanded into their copies, and anything moved by a transform is
+// returned as a copy carrying its accumulated `matrix`.
+export function visibleOperations(operations) {
+  const replaced = getReplacedIds(operations);
+  const matrices = new Map();
+  const deleted = new Set();
+  const byId = new Map();
+  const expanded = [];
+
+  for (const op of operations) {
+    if (op.hidden) continue;
+
+    if (op.tool === 'transform') {
+      for (const id of op.targets) {
+        matrices.set(id, multiplyMatrix(op.matrix, matrices.get(id) || IDENTITY_MATRIX));
+      }
+    } else if (op.tool === 'delete') {
+      for (const id of op.targets) deleted.add(id);
+    } else if (op.tool === 'duplicate') {
+      for (const item of op.items) {
+        const source = byId.get(item.source);
+        if (!source) continue;
+        const copy = { ...source, id: item.id, replaces: null };
+        matrices.set(copy.id, item.matrix);
+        byId.set(copy.id, copy);
+        expanded.push(copy);
+      }
+    } else {
+      // An edit keeps wherever the text it replaces was moved to
+      if (op.replaces && matrices.has(op.replaces)) matrices.set(op.id, matrices.get(op.replaces));
+      byId.set(op.id, op);
+      expanded.push(op);
+    }
+  }
+
+  let visible = [];
+  for (const op of expanded) {
+    if (replaced.has(op.id) || deleted.has(op.id)) continue;
+    if (op.tool === 'clear') {
+      visible = [];
+      continue;
+    }
+    const matrix = matrices.get(op.id);
+    visible.push(matrix && !isIdentityMatrix(matrix) ? { ...op, matrix } : op);
+  }
+  return visible;
+}
+
+// Operations without a layer (older logs, selection edits) belong to the default drawing layer
+export const DEFAULT_LAYER_ID = 'default';
+
+export function operationLayer(op) {
+  return op.layer || DEFAULT_LAYER_ID;
+}
+
+// Clears and selection edits apply across the whole log before it is split into drawing layers
+export function layerOperations(operations, layerId) {
+  return visibleOperations(operations).filter(op => operationLayer(op) === layerId);
+}
+
+export function createOperationId() {
+  return 'op_' + Date.now().toString(36) + '_' + Math.random().toString(36).substring(2, 9);
+}
+
+// Search from the end since lookups almost always target a recent stroke
+export function findOperation(operations, id) {
+  for (let i = operations.length - 1; i >= 0; i--) {
+    if (operations[i].id === id) return operations[i];
+  }
+  return null;
+}
+
+export function applyStrokeStyle(ctx, op) {
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.lineWidth = op.width;
+
+  if (op.tool === 'eraser') {
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.strokeStyle = 'rgba(0,0,0,1)';
+  } else {
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.strokeStyle = op.color;
+  }
+}
+
+function tracePieces(ctx, pieces) {
+  ctx.beginPath();
+  ctx.moveTo(pieces[0].from.x, pieces[0].from.y);
+  for (const piece of pieces) {
+    if (piece.control) {
+      ctx.quadraticCurveTo(piece.control.x, piece.control.y, piece.to.x, piece.to.y);
+    } else {
+      ctx.lineTo(piece.to.x, piece.to.y);
+    }
+  }
+}
+
+// Draw one piece of a stroke that is still in progress (see strokePiece)
+export function drawStrokePiece(ctx, op, i) {
+  if (!op.points || op.points.length < 2) return;
+  const piece = strokePiece(op, i);
+  applyStrokeStyle(ctx, op);
+  ctx.lineWidth = hasPressure(op) ? piece.style.width : op.width;
+  ctx.globalAlpha = piece.style.alpha;
+  tracePieces(ctx, [piece]);
+  ctx.stroke();
+  ctx.globalAlpha = 1;
+}
+
+export function clearContext(ctx) {
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+  ctx.restore();
+}
+
+export function drawOperation(ctx, op) {
+  if (op.matrix) {
+    ctx.save();
+    ctx.transform(...op.matrix);
+    drawOperation(ctx, { ...op, matrix: null });
+    ctx.restore();
+    return;
+  }
+
+  if (op.tool === 'clear') {
+    clearContext(ctx);
+    return;
+  }
+
+  // Snapshots come from the server, images are imported by users; remote images may still be loading
+  if (op.tool === 'snapshot' || op.tool === 'image') {
+    if (!op.image) return;
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.drawImage(op.image, op.x, op.y, op.width, op.height);
+    return;
+  }
+
+  if (isShapeTool(op.tool)) {
+    drawShape(ctx, op);
+    return;
+  }
+
+  if (op.tool === 'text') {
+    drawText(ctx, op);
+    return;
+  }
+
+  applyStrokeStyle(ctx, op);
+  for (const run of strokeRuns(op)) {
+    ctx.lineWidth = run.width;
+    ctx.globalAlpha = run.alpha;
+    tracePieces(ctx, run.pieces);
+    ctx.stroke();
+  }
+  ctx.globalAlpha = 1;
+}
+
+function drawShape(ctx, op) {
+  const [a, b] = op.points;
+
+  applyStrokeStyle(ctx, op);
+  ctx.beginPath();
+
+  if (op.tool === 'rect') {
+    ctx.rect(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+  } else if (op.tool === 'ellipse') {
+    ctx.ellipse((a.x + b.x) / 2, (a.y + b.y) / 2, Math.abs(b.x - a.x) / 2, Math.abs(b.y - a.y) / 2, 0, 0, Math.PI * 2);
+  } else {
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+
+    if (op.tool === 'arrow' && (a.x !== b.x || a.y !== b.y)) {
+      const [left, tip, right] = arrowHeadPoints(a, b, op.width);
+      ctx.moveTo(left.x, left.y);
+      ctx.lineTo(tip.x, tip.y);
+      ctx.lineTo(right.x, right.y);
+    }
+  }
+
+  ctx.stroke();
+}
+
+function drawText(ctx, op) {
+  const { x, y } = op.points[0];
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.fillStyle = op.color;
+  ctx.font = textFont(op.fontSize);
+  ctx.textBaseline = 'top';
+
+  op.text.split('\n').forEach((line, i) => {
+    ctx.fillText(line, x, y + i * op.fontSize * TEXT_LINE_HEIGHT);
+  });
+}
+
+// Document-space bounding box of a single operation, including its transform
+export function getOperationBounds(op) {
+  let corners;
+  if (op.tool === 'snapshot' || op.tool === 'image' || op.tool === 'text') {
+    const box = op.tool === 'text' ? measureText(op) : op;
+    corners = [
+      { x: box.x, y: box.y },
+      { x: box.x + box.width, y: box.y },
+      { x: box.x, y: box.y + box.height },
+      { x: box.x + box.width, y: box.y + box.height }
+    ];
+  } else if (op.points && op.points.length > 0) {
+    const pad = op.tool === 'arrow' ? arrowHeadSize(op.width) : op.width / 2;
+    corners = [];
+    for (const p of op.points) {
+      corners.push({ x: p.x - pad, y: p.y - pad }, { x: p.x + pad, y: p.y + pad });
+      corners.push({ x: p.x - pad, y: p.y + pad }, { x: p.x + pad, y: p.y - pad });
+    }
+  } else {
+    return null;
+  }
+
+  if (op.matrix) corners = corners.map(p => transformPoint(op.matrix, p));
+  const xs = corners.map(p => p.x);
+  const ys = corners.map(p => p.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+export function unionBounds(boxes) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const box of boxes) {
+    if (!box) continue;
+    minX = Math.min(minX, box.x);
+    minY = Math.min(minY, box.y);
+    maxX = Math.max(maxX, box.x + box.width);
+    maxY = Math.max(maxY, box.y + box.height);
+  }
+
+  if (minX === Infinity) return null;
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+// Bounding box of all visible operations in document coordinates, or null when empty
+export function getOperationsBounds(operations) {
+  return unionBounds(
+    visibleOperations(operations)
+      .filter(op => op.tool !== 'eraser')
+      .map(getOperationBounds)
+  );
+}
+
+// Rebuild a layer from scratch from its visible operations, leaving out text open in the editor.
+// With a layerId only the operations on that drawing layer are drawn.
+export function replayOperations(ctx, operations, layerId = null) {
+  clearContext(ctx);
+  const visible = layerId === null ? visibleOperations(operations) : layerOperations(operations, layerId);
+  for (const op of visible) {
+    if (!op.editing) drawOperation(ctx, op);
+  }
+  ctx.globalCompositeOperation = 'source-over';
+}
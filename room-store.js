@@ -0,0 +1,37 @@
+import { getRecord, getAllRecords, putRecord, deleteRecord } from './storage.js';
+
+// Local copies of room drawings, one record per roomId, with the log of the user who saved it:
+// { roomId, userId, savedAt, clock, operations, undoStack, redoStack, remoteLayers: [{ userId, operations }] }
+const STORE = 'rooms';
+
+// Decoded images cannot be stored; image and snapshot operations keep their data URL and are reloaded from it
+export function serializeOperations(operations) {
+  return operations.map(({ image, editing, ...op }) => op);
+}
+
+export function summarizeRoom(record) {
+  const remoteCount = record.remoteLayers.reduce((sum, layer) => sum + layer.operations.length, 0);
+  return {
+    roomId: record.roomId,
+    savedAt: record.savedAt,
+    operationCount: record.operations.length + remoteCount
+  };
+}
+
+export function saveRoom(record) {
+  return putRecord(STORE, record);
+}
+
+export function loadRoom(roomId) {
+  return getRecord(STORE, roomId);
+}
+
+// Most recently saved first
+export async function listSavedRooms() {
+  const records = await getAllRecords(STORE);
+  return records.map(summarizeRoom).sort((a, b) => b.savedAt - a.savedAt);
+}
+
+export function deleteSavedRoom(roomId) {
+  return deleteRecord(STORE, roomId);
+}
@@ -0,0 +1,183 @@
+import { SHAPE_TOOLS } from './operations.js';
+import { BLEND_MODES } from './layers.js';
+import { isImageDataUrl, isRasterDataUrl } from './images.js';
+
+// Shape checks for everything received from the server or peers, so malformed or hostile messages
+// never reach CanvasManager. A schema is a function returning true for a valid value; objects may
+// carry fields the schema doesn't mention.
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const RGB_COLOR = /^rgba?\(\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}\s*(?:,\s*(?:0|1|0?\.\d+)\s*)?\)$/i;
+
+// Only hex and numeric rgb()/rgba() colours are accepted; they are safe to put into styles and attributes
+export function isCssColor(value) {
+  return typeof value === 'string' && (HEX_COLOR.test(value) || RGB_COLOR.test(value));
+}
+
+export function safeColor(value, fallback) {
+  return isCssColor(value) ? value : fallback;
+}
+
+const MAX_ID_LENGTH = 128;
+const MAX_NAME_LENGTH = 64;
+const MAX_TEXT_LENGTH = 10000;
+const MAX_POINTS = 20000;
+const MAX_ITEMS = 5000;
+const MAX_BATCH_EVENTS = 5000;
+const MAX_SNAPSHOT_LAYERS = 500;
+const MAX_SNAPSHOT_OPERATIONS = 50000;
+
+const string = (max) => value => typeof value === 'string' && value.length <= max;
+const number = () => value => typeof value === 'number' && Number.isFinite(value);
+const boolean = () => value => typeof value === 'boolean';
+const optional = (schema) => value => value === undefined || value === null || schema(value);
+const oneOf = (values) => value => values.includes(value);
+const arrayOf = (schema, max) => value => Array.isArray(value) && value.length <= max && value.every(schema);
+const object = (fields) => value =>
+  !!value && typeof value === 'object' && !Array.isArray(value) &&
+  Object.entries(fields).every(([name, schema]) => schema(value[name]));
+const both = (...schemas) => value => schemas.every(schema => schema(value));
+
+const id = () => value => typeof value === 'string' && value.length > 0 && value.length <= MAX_ID_LENGTH;
+const color = () => isCssColor;
+const point = object({ x: number(), y: number(), p: optional(number()) });
+const points = arrayOf(point, MAX_POINTS);
+const matrix = value => Array.isArray(value) && value.length === 6 && value.every(number());
+
+const layerDefinition = object({
+  id: id(),
+  name: optional(string(MAX_TEXT_LENGTH)),
+  order: optional(number()),
+  visible: optional(boolean()),
+  locked: optional(boolean()),
+  opacity: optional(number()),
+  blend: optional(oneOf(BLEND_MODES)),
+  clock: optional(number()),
+  userId: optional(string(MAX_ID_LENGTH))
+});
+
+const duplicateItems = arrayOf(object({ id: id(), source: id(), matrix }), MAX_ITEMS);
+
+// Draw events by type; the fields CanvasManager.applyRemoteDrawing reads for each
+const DRAW_EVENTS = {
+  start: object({
+    strokeId: id(),
+    pos: point,
+    mode: oneOf(['brush', 'eraser']),
+    color: color(),
+    width: number(),
+    pressureOpacity: optional(boolean()),
+    layer: optional(id())
+  }),
+  // Moves arrive packed into a list of points inside batches
+  move: both(
+    object({ strokeId: id(), pos: optional(point), points: optional(points) }),
+    event => !!event.pos || !!event.points
+  ),
+  end: object({ strokeId: id(), pos: optional(point), points: optional(points) }),
+  shape: object({
+    strokeId: id(),
+    mode: oneOf(SHAPE_TOOLS),
+    color: color(),
+    width: number(),
+    points: both(points, value => value.length === 2),
+    layer: optional(id())
+  }),
+  text: object({
+    strokeId: id(),
+    color: color(),
+    fontSize: number(),
+    text: string(MAX_TEXT_LENGTH),
+    points: both(points, value => value.length === 1),
+    replaces: optional(id()),
+    layer: optional(id())
+  }),
+  image: object({
+    strokeId: id(),
+    src: isImageDataUrl,
+    x: number(),
+    y: number(),
+    width: number(),
+    height: number(),
+    layer: optional(id())
+  }),
+  transform: object({ strokeId: id(), targets: arrayOf(id(), MAX_ITEMS), matrix }),
+  delete: object({ strokeId: id(), targets: arrayOf(id(), MAX_ITEMS) }),
+  duplicate: object({ strokeId: id(), items: duplicateItems })
+};
+
+const drawEvent = value =>
+  object({ type: oneOf(Object.keys(DRAW_EVENTS)), clock: optional(number()) })(value) &&
+  DRAW_EVENTS[value.type](value);
+
+// Operations inside snapshots, in the format of the operation log (see operations.js).
+// Imported images have the same size limit as when they are drawn live; room rasters their own.
+const operation = both(object({
+  id: id(),
+  tool: oneOf(['brush', 'eraser', 'clear', 'snapshot', 'image', 'text', 'transform', 'delete', 'duplicate', ...SHAPE_TOOLS]),
+  color: optional(color()),
+  width: optional(number()),
+  height: optional(number()),
+  x: optional(number()),
+  y: optional(number()),
+  fontSize: optional(number()),
+  text: optional(string(MAX_TEXT_LENGTH)),
+  points: optional(points),
+  src: optional(string(Infinity)),
+  targets: optional(arrayOf(id(), MAX_ITEMS)),
+  matrix: optional(matrix),
+  items: optional(duplicateItems),
+  replaces: optional(id()),
+  layer: optional(id()),
+  hidden: optional(boolean()),
+  pressureOpacity: optional(boolean()),
+  time: optional(number())
+}), op => !op.src || (op.tool === 'snapshot' ? isRasterDataUrl(op.src) : isImageDataUrl(op.src)));
+
+const snapshot = object({
+  layers: arrayOf(object({
+    userId: id(),
+    clock: optional(number()),
+    operations: arrayOf(operation, MAX_SNAPSHOT_OPERATIONS)
+  }), MAX_SNAPSHOT_LAYERS),
+  drawingLayers: optional(arrayOf(layerDefinition, MAX_ITEMS))
+});
+
+// Usernames and colours are shown as text and checked again where they are used
+const user = object({
+  userId: id(),
+  username: string(MAX_NAME_LENGTH),
+  color: optional(string(MAX_NAME_LENGTH)),
+  away: optional(boolean())
+});
+const stroke = object({ userId: id(), strokeId: id(), clock: optional(number()) });
+
+const INBOUND = {
+  drawing: value => value && value.type === 'batch'
+    ? object({ userId: id(), events: arrayOf(drawEvent, MAX_BATCH_EVENTS) })(value)
+    : object({ userId: id() })(value) && drawEvent(value),
+  // Servers that keep a raster of the room send it without a sender
+  'canvas-state': both(object({
+    userId: optional(id()),
+    targetUserId: optional(id()),
+    snapshot: optional(snapshot),
+    canvasData: optional(isRasterDataUrl)
+  }), state => !!state.snapshot || !!state.canvasData),
+  'request-canvas-state': object({ userId: id() }),
+  'user-joined': user,
+  'user-left': object({ userId: id(), username: optional(string(MAX_NAME_LENGTH)) }),
+  'cursor-move': object({ userId: id(), pos: optional(point) }),
+  'users-update': object({ users: arrayOf(user, MAX_ITEMS) }),
+  'username-assigned': object({ username: string(MAX_NAME_LENGTH) }),
+  'clear-canvas': object({ userId: id(), strokeId: optional(id()), clock: optional(number()) }),
+  undo: stroke,
+  redo: stroke,
+  'layer-update': object({ userId: id(), definition: layerDefinition, clock: optional(number()) }),
+  pong: object({ userId: id(), sentAt: number() })
+};
+
+// Whether a message received as `event` is well-formed; events without a schema are rejected
+export function validateInbound(event, data) {
+  const schema = INBOUND[event];
+  return !!schema && schema(data);
+}
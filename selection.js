@@ -0,0 +1,385 @@
+import {
+  createOperationId,
+  visibleOperations,
+  getOperationBounds,
+  unionBounds,
+  multiplyMatrix,
+  invertMatrix,
+  matrixScale,
+  transformPoint,
+  isIdentityMatrix,
+  operationLayer,
+  IDENTITY_MATRIX
+} from './operations.js';
+
+// Selection of the user's own operations and the edits made to it. Picking happens in
+// document coordinates; handles are hit-tested in CSS pixels so they keep their size at any zoom.
+// Every edit becomes one 'transform', 'delete' or 'duplicate' operation in the user's log.
+export class SelectionTool {
+  constructor(manager) {
+    this.manager = manager;
+    this.ids = [];
+    // Gesture in progress: { mode: 'marquee' | 'lasso' | 'move' | 'scale' | 'rotate', ... }
+    this.drag = null;
+
+    this.HANDLE_SIZE = 10;
+    this.ROTATE_HANDLE_OFFSET = 24;
+    this.CLICK_TOLERANCE = 4;
+    this.DUPLICATE_OFFSET = 20;
+    this.COLOR = '#6366f1';
+  }
+
+  hasSelection() {
+    return this.getSelected().length > 0;
+  }
+
+  // Erasers only make sense where they were drawn and the server snapshot is a background.
+  // Operations on hidden or locked layers can't be picked either.
+  getSelectable() {
+    return visibleOperations(this.manager.operations).filter(op =>
+      op.tool !== 'eraser' && op.tool !== 'snapshot' && !op.editing &&
+      this.manager.drawingLayers.isEditable(operationLayer(op))
+    );
+  }
+
+  getSelected() {
+    if (this.ids.length === 0) return [];
+    const ids = new Set(this.ids);
+    return this.getSelectable().filter(op => ids.has(op.id));
+  }
+
+  getBounds() {
+    return unionBounds(this.getSelected().map(getOperationBounds));
+  }
+
+  select(ids) {
+    this.ids = ids;
+    this.manager.composeLayers();
+  }
+
+  clear() {
+    this.drag = null;
+    if (this.ids.length > 0) this.select([]);
+  }
+
+  handlePointer(e) {
+    const pos = this.manager.getPointerPos(e);
+
+    if (e.type === 'pointerdown') {
+      this.startGesture(e, pos);
+      if (this.drag) this.manager.canvas.setPointerCapture(e.pointerId);
+    } else if (e.type === 'pointermove' && this.drag) {
+      this.updateGesture(pos, e.shiftKey);
+    } else if ((e.type === 'pointerup' || e.type === 'pointercancel') && this.drag) {
+      this.finishGesture(pos, e.shiftKey);
+      try {
+        this.manager.canvas.releasePointerCapture(e.pointerId);
+      } catch (err) {}
+    }
+  }
+
+  // Handles take priority, then the inside of the selection; anywhere else starts a new selection
+  startGesture(e, pos) {
+    const bounds = this.getBounds();
+    const handle = bounds ? this.hitHandle(this.manager.documentToScreen(pos), bounds) : null;
+
+    if (handle === 'rotate') {
+      const center = { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+      this.drag = { mode: 'rotate', bounds, center, startAngle: Math.atan2(pos.y - center.y, pos.x - center.x), op: this.beginTransform() };
+    } else if (handle) {
+      // Corner handles scale uniformly around the opposite corner
+      const anchor = {
+        x: handle.includes('w') ? bounds.x + bounds.width : bounds.x,
+        y: handle.includes('n') ? bounds.y + bounds.height : bounds.y
+      };
+      const distance = Math.hypot(pos.x - anchor.x, pos.y - anchor.y) || 1;
+      this.drag = { mode: 'scale', bounds, anchor, distance, op: this.beginTransform() };
+    } else if (bounds && containsPoint(bounds, pos)) {
+      this.drag = { mode: 'move', bounds, start: pos, op: this.beginTransform() };
+    } else {
+      this.drag = { mode: e.altKey ? 'lasso' : 'marquee', start: pos, current: pos, points: [pos], additive: e.shiftKey };
+    }
+  }
+
+  updateGesture(pos, constrain) {
+    const drag = this.drag;
+
+    if (drag.mode === 'marquee' || drag.mode === 'lasso') {
+      drag.current = pos;
+      if (drag.mode === 'lasso') drag.points.push(pos);
+      this.manager.composeLayers();
+      return;
+    }
+
+    if (drag.mode === 'move') {
+      drag.op.matrix = [1, 0, 0, 1, pos.x - drag.start.x, pos.y - drag.start.y];
+    } else if (drag.mode === 'scale') {
+      const factor = Math.max(0.02, Math.hypot(pos.x - drag.anchor.x, pos.y - drag.anchor.y) / drag.distance);
+      drag.op.matrix = aroundPoint([factor, 0, 0, factor, 0, 0], drag.anchor);
+    } else if (drag.mode === 'rotate') {
+      let angle = Math.atan2(pos.y - drag.center.y, pos.x - drag.center.x) - drag.startAngle;
+      // Shift snaps to 15° steps
+      if (constrain) angle = Math.round(angle / (Math.PI / 12)) * (Math.PI / 12);
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      drag.op.matrix = aroundPoint([cos, sin, -sin, cos, 0, 0], drag.center);
+    }
+    this.manager.redrawUserLayer();
+  }
+
+  finishGesture(pos, constrain) {
+    const drag = this.drag;
+    this.updateGesture(pos, constrain);
+    this.drag = null;
+
+    if (drag.mode === 'marquee' || drag.mode === 'lasso') {
+      const picked = this.pick(drag);
+      this.select(drag.additive ? [...new Set([...this.ids, ...picked])] : picked);
+      return;
+    }
+
+    this.finishTransform(drag.op);
+  }
+
+  // Whether a move, scale or rotate drag is in progress, with its transform provisionally in the log
+  isTransforming() {
+    return !!this.drag && !!this.drag.op;
+  }
+
+  // The transform is added to the log straight away so the drag previews through a normal replay;
+  // it only becomes an undoable, synced operation once the pointer is released
+  beginTransform() {
+    const op = { id: createOperationId(), tool: 'transform', targets: [...this.ids], matrix: IDENTITY_MATRIX };
+    this.manager.operations.push(op);
+    return op;
+  }
+
+  finishTransform(op) {
+    if (isIdentityMatrix(op.matrix)) {
+      this.manager.operations = this.manager.operations.filter(o => o !== op);
+      this.manager.redrawUserLayer();
+      return;
+    }
+    this.manager.commitOperation(op, { type: 'transform', targets: op.targets, matrix: op.matrix });
+  }
+
+  deleteSelection() {
+    const selected = this.getSelected();
+    if (selected.length === 0) return false;
+
+    const op = { id: createOperationId(), tool: 'delete', targets: selected.map(o => o.id) };
+    this.ids = [];
+    this.manager.operations.push(op);
+    this.manager.commitOperation(op, { type: 'delete', targets: op.targets });
+    return true;
+  }
+
+  // Copies are offset a little and become the new selection
+  duplicateSelection() {
+    const selected = this.getSelected();
+    if (selected.length === 0) return false;
+
+    const offset = [1, 0, 0, 1, this.DUPLICATE_OFFSET, this.DUPLICATE_OFFSET];
+    const items = selected.map(source => ({
+      id: createOperationId(),
+      source: source.id,
+      matrix: multiplyMatrix(offset, source.matrix || IDENTITY_MATRIX)
+    }));
+    const op = { id: createOperationId(), tool: 'duplicate', items };
+    this.ids = items.map(item => item.id);
+    this.manager.operations.push(op);
+    this.manager.commitOperation(op, { type: 'duplicate', items });
+    return true;
+  }
+
+  // A click picks the topmost operation under the pointer; a drag picks everything fully inside
+  pick(drag) {
+    const operations = this.getSelectable();
+    const start = this.manager.documentToScreen(drag.start);
+    const end = this.manager.documentToScreen(drag.current);
+
+    if (Math.hypot(end.x - start.x, end.y - start.y) < this.CLICK_TOLERANCE) {
+      const tolerance = this.CLICK_TOLERANCE / this.manager.view.scale;
+      for (let i = operations.length - 1; i >= 0; i--) {
+        if (hitOperation(operations[i], drag.start, tolerance)) return [operations[i].id];
+      }
+      return [];
+    }
+
+    let inside;
+    if (drag.mode === 'lasso') {
+      inside = (p) => pointInPolygon(p, drag.points);
+    } else {
+      const rect = {
+        x: Math.min(drag.start.x, drag.current.x),
+        y: Math.min(drag.start.y, drag.current.y),
+        width: Math.abs(drag.current.x - drag.start.x),
+        height: Math.abs(drag.current.y - drag.start.y)
+      };
+      inside = (p) => containsPoint(rect, p);
+    }
+    return operations.filter(op => samplePoints(op).every(inside)).map(op => op.id);
+  }
+
+  // Corner handles are named after compass directions; 'rotate' sits above the top edge
+  hitHandle(screenPos, bounds) {
+    const corners = this.getScreenCorners(bounds, IDENTITY_MATRIX);
+    const reach = this.HANDLE_SIZE;
+
+    const rotate = this.getRotateHandle(corners);
+    if (Math.hypot(screenPos.x - rotate.x, screenPos.y - rotate.y) <= reach) return 'rotate';
+
+    const names = ['nw', 'ne', 'se', 'sw'];
+    for (let i = 0; i < corners.length; i++) {
+      if (Math.abs(screenPos.x - corners[i].x) <= reach && Math.abs(screenPos.y - corners[i].y) <= reach) {
+        return names[i];
+      }
+    }
+    return null;
+  }
+
+  getScreenCorners(bounds, matrix) {
+    return [
+      { x: bounds.x, y: bounds.y },
+      { x: bounds.x + bounds.width, y: bounds.y },
+      { x: bounds.x + bounds.width, y: bounds.y + bounds.height },
+      { x: bounds.x, y: bounds.y + bounds.height }
+    ].map(p => this.manager.documentToScreen(transformPoint(matrix, p)));
+  }
+
+  // Above the middle of the top edge, following the box while it rotates
+  getRotateHandle(corners) {
+    const [nw, ne, , sw] = corners;
+    const mid = { x: (nw.x + ne.x) / 2, y: (nw.y + ne.y) / 2 };
+    const height = Math.hypot(nw.x - sw.x, nw.y - sw.y) || 1;
+    return {
+      x: mid.x + (nw.x - sw.x) / height * this.ROTATE_HANDLE_OFFSET,
+      y: mid.y + (nw.y - sw.y) / height * this.ROTATE_HANDLE_OFFSET
+    };
+  }
+
+  // Drawn on the display canvas in CSS pixels
+  drawOverlay(ctx, dpr) {
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.strokeStyle = this.COLOR;
+    ctx.fillStyle = '#ffffff';
+    ctx.lineWidth = 1.5;
+
+    const drag = this.drag;
+    if (drag && (drag.mode === 'marquee' || drag.mode === 'lasso')) {
+      const points = drag.mode === 'lasso'
+        ? drag.points
+        : [drag.start, { x: drag.current.x, y: drag.start.y }, drag.current, { x: drag.start.x, y: drag.current.y }];
+      ctx.setLineDash([6, 4]);
+      ctx.beginPath();
+      points.map(p => this.manager.documentToScreen(p)).forEach((p, i) => {
+        if (i === 0) ctx.moveTo(p.x, p.y);
+        else ctx.lineTo(p.x, p.y);
+      });
+      ctx.closePath();
+      ctx.stroke();
+      ctx.setLineDash([]);
+      if (this.ids.length === 0 || !drag.additive) return;
+    }
+
+    // While a transform is being dragged the original box follows it
+    const transforming = drag && drag.op;
+    const bounds = transforming ? drag.bounds : this.getBounds();
+    if (!bounds) return;
+    const corners = this.getScreenCorners(bounds, transforming ? drag.op.matrix : IDENTITY_MATRIX);
+    const rotate = this.getRotateHandle(corners);
+    const top = { x: (corners[0].x + corners[1].x) / 2, y: (corners[0].y + corners[1].y) / 2 };
+
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    corners.forEach((p, i) => {
+      if (i === 0) ctx.moveTo(p.x, p.y);
+      else ctx.lineTo(p.x, p.y);
+    });
+    ctx.closePath();
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.beginPath();
+    ctx.moveTo(top.x, top.y);
+    ctx.lineTo(rotate.x, rotate.y);
+    ctx.stroke();
+
+    const size = this.HANDLE_SIZE;
+    for (const corner of corners) {
+      ctx.fillRect(corner.x - size / 2, corner.y - size / 2, size, size);
+      ctx.strokeRect(corner.x - size / 2, corner.y - size / 2, size, size);
+    }
+    ctx.beginPath();
+    ctx.arc(rotate.x, rotate.y, size / 2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+}
+
+// Apply a linear transform around a fixed point
+function aroundPoint(m, p) {
+  return multiplyMatrix([1, 0, 0, 1, p.x, p.y], multiplyMatrix(m, [1, 0, 0, 1, -p.x, -p.y]));
+}
+
+function containsPoint(rect, p) {
+  return p.x >= rect.x && p.x <= rect.x + rect.width && p.y >= rect.y && p.y <= rect.y + rect.height;
+}
+
+function pointInPolygon(p, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Points that must fall inside a marquee or lasso for an operation to be picked
+function samplePoints(op) {
+  if (op.points && op.tool !== 'text') {
+    const points = op.tool === 'rect' || op.tool === 'ellipse'
+      ? [op.points[0], { x: op.points[1].x, y: op.points[0].y }, op.points[1], { x: op.points[0].x, y: op.points[1].y }]
+      : op.points;
+    return op.matrix ? points.map(p => transformPoint(op.matrix, p)) : points;
+  }
+  const box = getOperationBounds(op);
+  if (!box) return [];
+  return [
+    { x: box.x, y: box.y },
+    { x: box.x + box.width, y: box.y },
+    { x: box.x, y: box.y + box.height },
+    { x: box.x + box.width, y: box.y + box.height }
+  ];
+}
+
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// Strokes and lines are hit along their path; everything else anywhere inside its box
+function hitOperation(op, pos, tolerance) {
+  const isPath = op.points && op.tool !== 'text' && op.tool !== 'rect' && op.tool !== 'ellipse';
+  if (!isPath) {
+    const box = getOperationBounds(op);
+    return !!box && containsPoint({ x: box.x - tolerance, y: box.y - tolerance, width: box.width + tolerance * 2, height: box.height + tolerance * 2 }, pos);
+  }
+
+  // Test in the operation's own coordinates so the stroke width scales with it
+  const local = op.matrix ? transformPoint(invertMatrix(op.matrix), pos) : pos;
+  const reach = op.width / 2 + tolerance / (op.matrix ? matrixScale(op.matrix) : 1);
+  const points = op.points;
+  if (points.length === 1) return Math.hypot(local.x - points[0].x, local.y - points[0].y) <= reach;
+  for (let i = 1; i < points.length; i++) {
+    if (distanceToSegment(local, points[i - 1], points[i]) <= reach) return true;
+  }
+  return false;
+}
@@ -0,0 +1,83 @@
+// Promise wrapper around the app's IndexedDB database. Callers should expect rejections:
+// IndexedDB can be missing or blocked (e.g. some private browsing modes).
+const DB_NAME = 'collaborative-canvas';
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      // Operations made while disconnected, one record per room and user
+      if (!db.objectStoreNames.contains('outbox')) {
+        db.createObjectStore('outbox', { keyPath: 'key' });
+      }
+      // Autosaved drawings, one record per room
+      if (!db.objectStoreNames.contains('rooms')) {
+        db.createObjectStore('rooms', { keyPath: 'roomId' });
+      }
+    };
+    // Another tab still has an older version open. Don't wait for it: callers carry on without
+    // storage and retry later, and a connection that opens after all is closed again.
+    let blocked = false;
+    request.onblocked = () => {
+      blocked = true;
+      reject(new Error('IndexedDB upgrade is blocked by another tab'));
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      if (blocked) {
+        db.close();
+        return;
+      }
+      // Step aside when a newer version is opened in another tab, so its upgrade isn't blocked by us
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later retry if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+function run(storeName, mode, action) {
+  return openDatabase().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  }));
+}
+
+export function getRecord(storeName, key) {
+  return run(storeName, 'readonly', store => store.get(key));
+}
+
+export function getAllRecords(storeName) {
+  return run(storeName, 'readonly', store => store.getAll());
+}
+
+export function putRecord(storeName, record) {
+  return run(storeName, 'readwrite', store => store.put(record));
+}
+
+export function deleteRecord(storeName, key) {
+  return run(storeName, 'readwrite', store => store.delete(key));
+}
@@ -0,0 +1,229 @@
+import { visibleOperations, operationLayer, drawOperation, clearContext } from './operations.js';
+
+// Rasters of the drawing layers under the current view, one viewport-sized surface per layer.
+// To flatten a layer, each user's part of it is replayed on a shared scratch canvas, so erasers
+// only cut into that user's strokes, and drawn in at the opacity the user is shown at here.
+// A user who changes a layer gets a surface of their own in it for LIVE_MS, so strokes can be
+// added piece by piece; the users stacked below and above stay flattened around it. At most
+// MAX_LIVE users are live at a time, counting each layer separately.
+export class LayerSurfaces {
+  constructor(manager) {
+    this.manager = manager;
+    // layerId -> { segments: [{ userIds, live, surface }], generation }
+    this.layers = new Map();
+    // layerId -> Map<userId, time of the user's last change>
+    this.live = new Map();
+    // Rasters of an older generation are rebuilt before they are composited
+    this.generation = 0;
+    this.scratch = null;
+    this.expiryTimer = null;
+
+    this.LIVE_MS = 5000;
+    this.MAX_LIVE = 16;
+  }
+
+  // Every layer is rebuilt before it is shown next
+  invalidate() {
+    this.generation++;
+  }
+
+  // Start over with nobody live, e.g. when the timeline switches between the live and past logs
+  reset() {
+    this.live.clear();
+    this.invalidate();
+  }
+
+  // Drop every canvas; they are created again at the current size
+  clear() {
+    for (const raster of this.layers.values()) {
+      for (const segment of raster.segments) release(segment.surface);
+    }
+    this.layers.clear();
+    if (this.scratch) release(this.scratch);
+    this.scratch = null;
+  }
+
+  // Context to draw a user's newest operation or stroke piece on layerId with, or null when the
+  // layer had to be rebuilt to give the user a surface there; that replay drew it already
+  liveContext(user, layerId) {
+    this.touch(user.userId, layerId);
+    const segment = this.findLive(layerId, user.userId);
+    if (segment) return segment.surface.ctx;
+    this.rebuild(layerId);
+    return null;
+  }
+
+  // A user's operations changed: redraw their part of every layer it is on or was on. Users who
+  // are live there are redrawn on their own; other layers are flattened again when shown next,
+  // unless `live` asks for the user to become live there (for edits that tend to come in runs).
+  refreshUser(user, live = false) {
+    const visible = visibleOperations(user.operations);
+    const layerIds = new Set(visible.map(operationLayer));
+    for (const [layerId, raster] of this.layers) {
+      if (raster.segments.some(segment => segment.userIds.includes(user.userId))) layerIds.add(layerId);
+    }
+
+    for (const layerId of layerIds) {
+      const segment = this.findLive(layerId, user.userId);
+      if (segment || live) this.touch(user.userId, layerId);
+      if (segment) {
+        this.manager.applyViewTransform(segment.surface.ctx);
+        drawOperations(segment.surface.ctx, visible, layerId);
+      } else if (live) {
+        this.rebuild(layerId, new Map([[user.userId, visible]]));
+      } else if (this.layers.has(layerId)) {
+        this.layers.get(layerId).generation = -1;
+      }
+    }
+  }
+
+  // A user left; the layers they were part of are flattened again without them
+  forgetUser(userId) {
+    for (const users of this.live.values()) users.delete(userId);
+    for (const raster of this.layers.values()) {
+      if (raster.segments.some(segment => segment.userIds.includes(userId))) raster.generation = -1;
+    }
+  }
+
+  // Rebuild whichever of these layers are out of date, sharing the work of finding visible operations
+  update(layerIds) {
+    const visible = new Map();
+    for (const layerId of layerIds) {
+      const raster = this.layers.get(layerId);
+      if (!raster || raster.generation !== this.generation) this.rebuild(layerId, visible);
+    }
+  }
+
+  // Canvases of a layer bottom to top, with the opacity to draw each at
+  get(layerId) {
+    const raster = this.layers.get(layerId);
+    if (!raster) return [];
+    return raster.segments
+      .map(({ userIds, live, surface }) => ({
+        canvas: surface.canvas,
+        alpha: live ? this.manager.getUserOpacity(userIds[0]) : 1
+      }))
+      .filter(({ alpha }) => alpha > 0);
+  }
+
+  findLive(layerId, userId) {
+    const raster = this.layers.get(layerId);
+    if (!raster || raster.generation !== this.generation) return null;
+    return raster.segments.find(segment => segment.live && segment.userIds[0] === userId) || null;
+  }
+
+  touch(userId, layerId) {
+    if (!this.live.has(layerId)) this.live.set(layerId, new Map());
+    this.live.get(layerId).set(userId, performance.now());
+    if (!this.expiryTimer) this.expiryTimer = setTimeout(() => this.expire(), this.LIVE_MS);
+
+    let oldest = null;
+    let count = 0;
+    for (const [id, users] of this.live) {
+      for (const [user, time] of users) {
+        count++;
+        if (!oldest || time < oldest.time) oldest = { layerId: id, userId: user, time };
+      }
+    }
+    if (count > this.MAX_LIVE) this.flatten(oldest.layerId, oldest.userId);
+  }
+
+  flatten(layerId, userId) {
+    const users = this.live.get(layerId);
+    users.delete(userId);
+    if (users.size === 0) this.live.delete(layerId);
+    const raster = this.layers.get(layerId);
+    if (raster) raster.generation = -1;
+  }
+
+  // Users who stopped changing a layer are flattened into it again
+  expire() {
+    this.expiryTimer = null;
+    const cutoff = performance.now() - this.LIVE_MS;
+    let changed = false;
+    for (const [layerId, users] of this.live) {
+      for (const [userId, time] of users) {
+        if (time > cutoff) continue;
+        this.flatten(layerId, userId);
+        changed = true;
+      }
+    }
+    if (this.live.size > 0) this.expiryTimer = setTimeout(() => this.expire(), this.LIVE_MS);
+    if (changed) this.manager.composeLayers();
+  }
+
+  // visible caches each user's visible operations (by userId) between calls
+  rebuild(layerId, visible = new Map()) {
+    const previous = this.layers.get(layerId);
+    const spare = previous ? previous.segments.map(segment => segment.surface) : [];
+    const acquire = () => {
+      const surface = spare.pop() || this.manager.createLayerCanvas();
+      clearContext(surface.ctx);
+      this.manager.applyViewTransform(surface.ctx);
+      return surface;
+    };
+
+    const live = this.live.get(layerId) || new Map();
+    const segments = [];
+    let flattened = null;
+    for (const user of this.manager.getDisplayLayers()) {
+      const isLive = live.has(user.userId);
+      const alpha = this.manager.getUserOpacity(user.userId);
+      if (!isLive && (alpha === 0 || user.operations.length === 0)) continue;
+
+      if (!visible.has(user.userId)) visible.set(user.userId, visibleOperations(user.operations));
+      const operations = visible.get(user.userId);
+      if (isLive) {
+        const surface = acquire();
+        drawOperations(surface.ctx, operations, layerId);
+        segments.push({ userIds: [user.userId], live: true, surface });
+        flattened = null;
+        continue;
+      }
+      if (!operations.some(op => operationLayer(op) === layerId)) continue;
+
+      if (!flattened) {
+        flattened = { userIds: [], live: false, surface: acquire() };
+        segments.push(flattened);
+      }
+      // The first user of a surface at full opacity has nothing to protect from its erasers
+      if (flattened.userIds.length === 0 && alpha === 1) {
+        drawOperations(flattened.surface.ctx, operations, layerId);
+      } else {
+        const scratch = this.getScratch();
+        this.manager.applyViewTransform(scratch.ctx);
+        drawOperations(scratch.ctx, operations, layerId);
+        const ctx = flattened.surface.ctx;
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = alpha;
+        ctx.drawImage(scratch.canvas, 0, 0);
+        ctx.restore();
+      }
+      flattened.userIds.push(user.userId);
+    }
+
+    for (const surface of spare) release(surface);
+    this.layers.set(layerId, { segments, generation: this.generation });
+  }
+
+  getScratch() {
+    if (!this.scratch) this.scratch = this.manager.createLayerCanvas();
+    return this.scratch;
+  }
+}
+
+// Clear ctx and draw the visible operations on one drawing layer, leaving out text open in the editor
+function drawOperations(ctx, visible, layerId) {
+  clearContext(ctx);
+  for (const op of visible) {
+    if (!op.editing && operationLayer(op) === layerId) drawOperation(ctx, op);
+  }
+  ctx.globalCompositeOperation = 'source-over';
+}
+
+// Canvases are freed as soon as they are dropped instead of whenever they are garbage collected
+function release(surface) {
+  surface.canvas.width = 0;
+  surface.canvas.height = 0;
+}
@@ -0,0 +1,101 @@
+import { textFont, TEXT_LINE_HEIGHT } from './operations.js';
+
+// In-place <textarea> shown over the canvas while a text operation is being typed.
+// It only knows screen positions; CanvasManager maps them to and from document coordinates.
+export class TextEditor {
+  constructor(container) {
+    this.container = container;
+    this.element = null;
+    this.fontSize = 16;
+    this.scale = 1;
+
+    this.onCommit = null;
+    this.onCancel = null;
+  }
+
+  isOpen() {
+    return !!this.element;
+  }
+
+  open({ text, color, fontSize }, screenPos, scale) {
+    this.close();
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'text-editor';
+    textarea.value = text;
+    textarea.spellcheck = false;
+    textarea.setAttribute('wrap', 'off');
+
+    textarea.addEventListener('input', () => this.resize());
+    textarea.addEventListener('blur', () => this.commit());
+    textarea.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.cancel();
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        this.commit();
+      }
+    });
+
+    this.element = textarea;
+    this.container.appendChild(textarea);
+    this.setStyle({ color, fontSize });
+    this.setPosition(screenPos, scale);
+
+    // Focus after the pointer event that opened the editor has finished
+    setTimeout(() => {
+      if (this.element === textarea) textarea.focus();
+    }, 0);
+  }
+
+  setStyle({ color, fontSize }) {
+    if (!this.element) return;
+    if (color) this.element.style.color = color;
+    if (fontSize) this.fontSize = fontSize;
+    this.applyFont();
+  }
+
+  setPosition(screenPos, scale) {
+    if (!this.element) return;
+    this.scale = scale;
+    this.element.style.left = screenPos.x + 'px';
+    this.element.style.top = screenPos.y + 'px';
+    this.applyFont();
+  }
+
+  applyFont() {
+    this.element.style.font = textFont(this.fontSize * this.scale);
+    this.element.style.lineHeight = String(TEXT_LINE_HEIGHT);
+    this.resize();
+  }
+
+  // Grow with the content so the editor matches the rendered text
+  resize() {
+    const textarea = this.element;
+    textarea.style.width = 'auto';
+    textarea.style.height = 'auto';
+    textarea.style.width = Math.max(textarea.scrollWidth, this.fontSize * this.scale) + 'px';
+    textarea.style.height = textarea.scrollHeight + 'px';
+  }
+
+  commit() {
+    if (!this.element) return;
+    const text = this.element.value;
+    this.close();
+    if (this.onCommit) this.onCommit(text);
+  }
+
+  cancel() {
+    if (!this.element) return;
+    this.close();
+    if (this.onCancel) this.onCancel();
+  }
+
+  close() {
+    if (!this.element) return;
+    const textarea = this.element;
+    this.element = null;
+    textarea.remove();
+  }
+}
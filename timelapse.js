@@ -0,0 +1,143 @@
+import { visibleOperations, operationLayer, drawOperation, clearContext, findOperation } from './operations.js';
+import { blendOperation } from './layers.js';
+import { isAppendEntry } from './history.js';
+
+// Frames of the time-lapse export, drawn while stepping forward through a fixed list of history
+// entries. Like renderExport, each user's part of a drawing layer is a canvas of its own, so erasers
+// only cut into that user's strokes. Entries that only add an operation draw it onto that canvas;
+// anything else (undo, redo, edits, transforms, clears) replays the user's log once per frame.
+export class TimelapseRenderer {
+  // layers: drawing layers to show, bottom to top; userIds limits whose drawings are shown (null for everyone)
+  constructor(history, entries, { layers, bounds, scale, userIds = null }) {
+    this.history = history;
+    this.entries = entries;
+    this.layers = layers;
+    this.bounds = bounds;
+    this.scale = scale;
+    this.userIds = userIds;
+    this.width = Math.ceil(bounds.width * scale);
+    this.height = Math.ceil(bounds.height * scale);
+
+    // Entries drawn so far
+    this.count = 0;
+    // Each user's log as of `count`, in the order users first appear; copies carry the hidden flag they had then
+    this.logs = new Map();
+    // Undo and redo seen so far, by `${userId}:${strokeId}`
+    this.toggles = new Map();
+    // layerId -> Map<userId, { canvas, ctx }>
+    this.groups = new Map();
+    // Users whose logs changed in a way that needs a replay
+    this.stale = new Set();
+
+    this.image = this.createCanvas();
+    this.layer = this.createCanvas();
+    // GIF has no partial transparency, so frames are flattened onto white like the canvas background
+    this.frame = this.createCanvas({ willReadFrequently: true });
+  }
+
+  // Bring the drawing forward to the first `count` entries
+  advance(count) {
+    for (const entry of this.entries.slice(this.count, count)) {
+      if (this.userIds && !this.userIds.includes(entry.userId)) continue;
+      if (!this.logs.has(entry.userId)) this.logs.set(entry.userId, []);
+      const log = this.logs.get(entry.userId);
+      const key = `${entry.userId}:${entry.strokeId}`;
+
+      if (!entry.op) {
+        this.toggles.set(key, entry.kind === 'undo');
+        const op = findOperation(log, entry.strokeId);
+        if (op) op.hidden = entry.kind === 'undo';
+        this.stale.add(entry.userId);
+        continue;
+      }
+
+      const op = this.history.initialCopy(entry.userId, entry.op);
+      if (this.toggles.has(key)) op.hidden = this.toggles.get(key);
+      log.push(op);
+      if (!isAppendEntry(entry)) {
+        this.stale.add(entry.userId);
+      } else if (!op.hidden && !this.stale.has(entry.userId)) {
+        const group = this.getGroup(operationLayer(op), entry.userId);
+        if (group) {
+          drawOperation(group.ctx, op);
+          group.ctx.globalCompositeOperation = 'source-over';
+        }
+      }
+    }
+    this.count = count;
+
+    for (const userId of this.stale) this.replay(userId);
+    this.stale.clear();
+  }
+
+  // The current frame, with every drawing layer blended like on screen
+  render() {
+    const imageCtx = this.image.ctx;
+    imageCtx.clearRect(0, 0, this.width, this.height);
+    for (const layer of this.layers) {
+      const groups = this.groups.get(layer.id);
+      if (!groups) continue;
+      const layerCtx = this.layer.ctx;
+      layerCtx.clearRect(0, 0, this.width, this.height);
+      for (const userId of this.logs.keys()) {
+        if (groups.has(userId)) layerCtx.drawImage(groups.get(userId).canvas, 0, 0);
+      }
+      imageCtx.globalAlpha = layer.opacity;
+      imageCtx.globalCompositeOperation = blendOperation(layer.blend);
+      imageCtx.drawImage(this.layer.canvas, 0, 0);
+    }
+    imageCtx.globalAlpha = 1;
+    imageCtx.globalCompositeOperation = 'source-over';
+
+    const frameCtx = this.frame.ctx;
+    frameCtx.fillStyle = '#ffffff';
+    frameCtx.fillRect(0, 0, this.width, this.height);
+    frameCtx.drawImage(this.image.canvas, 0, 0);
+    return frameCtx;
+  }
+
+  // Canvases are freed as soon as the export is done instead of whenever they are garbage collected
+  dispose() {
+    const surfaces = [this.image, this.layer, this.frame];
+    for (const groups of this.groups.values()) surfaces.push(...groups.values());
+    for (const { canvas } of surfaces) {
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+    this.groups.clear();
+  }
+
+  replay(userId) {
+    for (const groups of this.groups.values()) {
+      if (groups.has(userId)) clearContext(groups.get(userId).ctx);
+    }
+    for (const op of visibleOperations(this.logs.get(userId))) {
+      const group = this.getGroup(operationLayer(op), userId);
+      if (group) drawOperation(group.ctx, op);
+    }
+    for (const groups of this.groups.values()) {
+      if (groups.has(userId)) groups.get(userId).ctx.globalCompositeOperation = 'source-over';
+    }
+  }
+
+  // Canvas of a user's part of a drawing layer, or null when the layer isn't shown
+  getGroup(layerId, userId) {
+    if (!this.layers.some(layer => layer.id === layerId)) return null;
+    if (!this.groups.has(layerId)) this.groups.set(layerId, new Map());
+    const groups = this.groups.get(layerId);
+    if (!groups.has(userId)) {
+      const group = this.createCanvas();
+      const { scale, bounds } = this;
+      group.ctx.setTransform(scale, 0, 0, scale, -bounds.x * scale, -bounds.y * scale);
+      groups.set(userId, group);
+    }
+    return groups.get(userId);
+  }
+
+  createCanvas(options = { alpha: true }) {
+    const canvas = document.createElement('canvas');
+    canvas.width = this.width;
+    canvas.height = this.height;
+    return { canvas, ctx: canvas.getContext('2d', options) };
+  }
+}
@@ -0,0 +1,401 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('transport');
+
+// Transports carry the room protocol's named events to the server and back. WebSocketClient only
+// uses on(), emit(), connect() and disconnect(); besides the server's events a transport dispatches
+// 'connect', 'disconnect' (an open connection dropped), 'connect-error' (an attempt failed) and
+// 'error' for its own state. Transports don't reconnect by themselves: WebSocketClient calls
+// connect() again when it decides to retry. connect() returns false if the transport can't work here.
+export class Transport {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  on(event, handler) {
+    if (!this.handlers.has(event)) this.handlers.set(event, []);
+    this.handlers.get(event).push(handler);
+  }
+
+  dispatch(event, data) {
+    for (const handler of this.handlers.get(event) || []) {
+      handler(data);
+    }
+  }
+}
+
+// socket.io client loaded from the CDN as the global `io`
+export class SocketIoTransport extends Transport {
+  constructor(url) {
+    super();
+    this.url = url;
+    this.socket = null;
+  }
+
+  connect() {
+    if (typeof io === 'undefined') {
+      log.warn('Socket.io client not loaded. Running in offline mode.');
+      this.dispatch('error', 'Socket.io client not available');
+      return false;
+    }
+
+    if (this.socket) {
+      this.socket.connect();
+      return true;
+    }
+    this.socket = io(this.url, {
+      transports: ['websocket', 'polling'],
+      reconnection: false
+    });
+    this.socket.on('connect', () => this.dispatch('connect'));
+    this.socket.on('disconnect', () => this.dispatch('disconnect'));
+    this.socket.on('connect_error', (error) => this.dispatch('connect-error', error));
+    this.socket.onAny((event, data) => this.dispatch(event, data));
+    return true;
+  }
+
+  emit(event, data) {
+    if (this.socket) this.socket.emit(event, data);
+  }
+
+  disconnect() {
+    if (this.socket) this.socket.disconnect();
+  }
+}
+
+// Plain WebSocket to our own gateway. Every message is a JSON text frame { event, data }.
+export class WebSocketTransport extends Transport {
+  constructor(url) {
+    super();
+    // http(s):// backend URLs are accepted as well
+    this.url = url.replace(/^http/, 'ws');
+    this.socket = null;
+  }
+
+  connect() {
+    // A retry while an attempt is still pending starts over
+    this.closeSocket();
+
+    let socket;
+    try {
+      socket = new WebSocket(this.url);
+    } catch (error) {
+      this.dispatch('error', error);
+      return false;
+    }
+    this.socket = socket;
+    let opened = false;
+
+    socket.onopen = () => {
+      opened = true;
+      this.dispatch('connect');
+    };
+    socket.onmessage = (message) => {
+      let parsed;
+      try {
+        parsed = JSON.parse(message.data);
+      } catch (error) {
+        log.warn('Ignoring malformed message:', error);
+        return;
+      }
+      if (parsed && typeof parsed.event === 'string') this.dispatch(parsed.event, parsed.data);
+    };
+    socket.onerror = () => {
+      this.dispatch('error', 'WebSocket error');
+    };
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.dispatch(opened ? 'disconnect' : 'connect-error', 'WebSocket closed');
+    };
+    return true;
+  }
+
+  closeSocket() {
+    if (!this.socket) return;
+    const socket = this.socket;
+    this.socket = null;
+    socket.close();
+  }
+
+  emit(event, data) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ event, data }));
+    }
+  }
+
+  disconnect() {
+    const open = this.socket && this.socket.readyState === WebSocket.OPEN;
+    this.closeSocket();
+    if (open) this.dispatch('disconnect');
+  }
+}
+
+// Serverless peer mode for tabs and windows of one browser profile. Every tab in a room shares one
+// BroadcastChannel and plays the server's part for itself: events are sent to all the other tabs, and
+// presence comes from heartbeats. A tab whose heartbeats stop is shown as away, not dropped: browsers
+// throttle timers in background tabs, so it is most likely still there, and its drawings stay.
+export class BroadcastChannelTransport extends Transport {
+  constructor() {
+    super();
+    this.channel = null;
+    this.user = null;
+    // Other tabs in the room: Map<userId, { user, lastSeen, hidden, away }>
+    this.peers = new Map();
+    this.roomId = null;
+    this.heartbeatTimer = null;
+    this.connected = false;
+    this.handlePageHide = () => this.leave();
+    // Peers hear straight away when this tab is hidden or shown again
+    this.handleVisibilityChange = () => this.sendHeartbeat();
+
+    this.HEARTBEAT_INTERVAL_MS = 2000;
+    this.PEER_TIMEOUT_MS = 10000;
+    // Hidden tabs may only get to run their timers about once a minute
+    this.HIDDEN_PEER_TIMEOUT_MS = 180000;
+  }
+
+  connect() {
+    if (typeof BroadcastChannel === 'undefined') {
+      this.dispatch('error', 'BroadcastChannel not available');
+      return false;
+    }
+    this.connected = true;
+    setTimeout(() => {
+      if (this.connected) this.dispatch('connect');
+    });
+    return true;
+  }
+
+  emit(event, data) {
+    if (!this.connected) return;
+    if (event === 'join-room') {
+      this.join(data);
+    } else if (event === 'ping') {
+      // There is no server in between, so the round trip ends right here
+      setTimeout(() => this.dispatch('pong', data));
+    } else if (this.channel) {
+      this.channel.postMessage({ event, data });
+    }
+  }
+
+  join({ roomId, userId, username, color }) {
+    this.leave();
+    // Without a server to hand out names, anonymous users are named after their ID
+    this.user = { userId, username: username && username !== 'Anonymous' ? username : `Guest ${userId.slice(-4)}`, color };
+    this.roomId = roomId;
+    this.channel = new BroadcastChannel(`collaborative-canvas:${roomId}`);
+    this.channel.onmessage = (message) => this.receive(message.data);
+
+    this.channel.postMessage({ event: 'peer-hello', data: this.user });
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.HEARTBEAT_INTERVAL_MS);
+    window.addEventListener('pagehide', this.handlePageHide);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+    this.dispatch('username-assigned', { username: this.user.username });
+    this.dispatchUsers();
+  }
+
+  receive(message) {
+    if (!message || typeof message.event !== 'string') return;
+    const { event, data } = message;
+
+    if (event === 'peer-hello' || event === 'peer-heartbeat') {
+      const { hidden, ...user } = data;
+      const previous = this.peers.get(user.userId);
+      this.peers.set(user.userId, { user, lastSeen: Date.now(), hidden: !!hidden, away: false });
+      // A new tab hears from everyone straight away instead of waiting for their next heartbeat
+      if (event === 'peer-hello' && !previous) {
+        this.sendHeartbeat();
+        this.dispatch('user-joined', user);
+      }
+      if (!previous || previous.away) this.dispatchUsers();
+    } else if (event === 'peer-bye') {
+      this.removePeer(data.userId);
+    } else {
+      this.dispatch(event, data);
+    }
+  }
+
+  heartbeat() {
+    this.sendHeartbeat();
+    const now = Date.now();
+    let changed = false;
+    for (const peer of this.peers.values()) {
+      const timeout = peer.hidden ? this.HIDDEN_PEER_TIMEOUT_MS : this.PEER_TIMEOUT_MS;
+      if (!peer.away && peer.lastSeen < now - timeout) {
+        peer.away = true;
+        changed = true;
+      }
+    }
+    if (changed) this.dispatchUsers();
+  }
+
+  sendHeartbeat() {
+    if (this.channel) this.channel.postMessage({ event: 'peer-heartbeat', data: { ...this.user, hidden: document.hidden } });
+  }
+
+  removePeer(userId) {
+    const peer = this.peers.get(userId);
+    if (!peer) return;
+    this.peers.delete(userId);
+    this.dispatch('user-left', { userId, username: peer.user.username });
+    this.dispatchUsers();
+  }
+
+  dispatchUsers() {
+    const peers = [...this.peers.values()].map(peer => peer.away ? { ...peer.user, away: true } : peer.user);
+    this.dispatch('users-update', { users: [this.user, ...peers] });
+  }
+
+  leave() {
+    if (!this.channel) return;
+    this.channel.postMessage({ event: 'peer-bye', data: { userId: this.user.userId } });
+    this.channel.close();
+    this.channel = null;
+    clearInterval(this.heartbeatTimer);
+    window.removeEventListener('pagehide', this.handlePageHide);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    this.peers.clear();
+  }
+
+  disconnect() {
+    if (!this.connected) return;
+    this.leave();
+    this.connected = false;
+    this.dispatch('disconnect');
+  }
+}
+
+// In-memory stand-in for the room server, so several clients in one page can share rooms without
+// a network. It keeps track of who is in which room and relays everything else to the rest of the room.
+export class LoopbackHub {
+  constructor() {
+    // Room members by roomId: Map<transport, { userId, username, color }>
+    this.rooms = new Map();
+    this.guestCount = 0;
+  }
+
+  receive(transport, event, data) {
+    if (event === 'join-room') {
+      this.join(transport, data);
+      return;
+    }
+    if (event === 'ping') {
+      this.deliver(transport, 'pong', data);
+      return;
+    }
+
+    const roomId = transport.roomId;
+    if (!roomId || !this.rooms.has(roomId)) return;
+    for (const member of this.rooms.get(roomId).keys()) {
+      if (member !== transport) this.deliver(member, event, data);
+    }
+  }
+
+  join(transport, { roomId, userId, username, color }) {
+    this.leave(transport);
+    if (!this.rooms.has(roomId)) this.rooms.set(roomId, new Map());
+    const members = this.rooms.get(roomId);
+
+    // Like the server, anonymous users get a name of their own
+    const user = { userId, username: username && username !== 'Anonymous' ? username : `Guest ${++this.guestCount}`, color };
+    transport.roomId = roomId;
+    members.set(transport, user);
+
+    this.deliver(transport, 'username-assigned', { username: user.username });
+    for (const member of members.keys()) {
+      if (member !== transport) this.deliver(member, 'user-joined', user);
+    }
+    this.sendUsers(roomId);
+  }
+
+  leave(transport) {
+    const members = this.rooms.get(transport.roomId);
+    if (!members || !members.has(transport)) return;
+
+    const user = members.get(transport);
+    members.delete(transport);
+    for (const member of members.keys()) {
+      this.deliver(member, 'user-left', { userId: user.userId, username: user.username });
+    }
+    if (members.size === 0) {
+      this.rooms.delete(transport.roomId);
+    } else {
+      this.sendUsers(transport.roomId);
+    }
+    transport.roomId = null;
+  }
+
+  sendUsers(roomId) {
+    const members = this.rooms.get(roomId);
+    const users = [...members.values()];
+    for (const member of members.keys()) {
+      this.deliver(member, 'users-update', { users });
+    }
+  }
+
+  // Delivered asynchronously and as a copy, like a message that went over the wire
+  deliver(transport, event, data) {
+    const copy = data === undefined ? undefined : JSON.parse(JSON.stringify(data));
+    setTimeout(() => {
+      if (transport.connected) transport.dispatch(event, copy);
+    });
+  }
+}
+
+export class LoopbackTransport extends Transport {
+  constructor(hub) {
+    super();
+    this.hub = hub;
+    this.roomId = null;
+    this.connected = false;
+  }
+
+  connect() {
+    this.connected = true;
+    setTimeout(() => {
+      if (this.connected) this.dispatch('connect');
+    });
+    return true;
+  }
+
+  emit(event, data) {
+    if (this.connected) this.hub.receive(this, event, data);
+  }
+
+  disconnect() {
+    if (!this.connected) return;
+    this.hub.leave(this);
+    this.connected = false;
+    this.dispatch('disconnect');
+  }
+}
+
+// Hub shared by every loopback client in the page, including same-origin frames, so a demo page can
+// put a few clients side by side in iframes
+let sharedHub = null;
+
+export function getLoopbackHub() {
+  if (sharedHub) return sharedHub;
+  let host = window;
+  try {
+    if (window.top && window.top.location.origin === window.location.origin) host = window.top;
+  } catch (error) {
+    // Cross-origin parent; keep the hub to this frame
+  }
+  if (!host.canvasLoopbackHub) host.canvasLoopbackHub = new LoopbackHub();
+  sharedHub = host.canvasLoopbackHub;
+  return sharedHub;
+}
+
+// Transport by name, as picked with ?transport=: 'socketio' (default), 'websocket', 'broadcast' or
+// 'loopback'. Without the socket.io client (no network to load it from) tabs fall back to peer mode.
+export function createTransport(kind, url) {
+  if (kind === 'websocket') return new WebSocketTransport(url);
+  if (kind === 'loopback') return new LoopbackTransport(getLoopbackHub());
+  if (kind === 'broadcast' || (typeof io === 'undefined' && typeof BroadcastChannel !== 'undefined')) {
+    return new BroadcastChannelTransport();
+  }
+  return new SocketIoTransport(url);
+}
@@ -1,17 +1,82 @@
+import { OfflineQueue } from './offline-queue.js';
+import { SocketIoTransport } from './transport.js';
+import { createLogger } from './logger.js';
+import { validateInbound } from './schema.js';
+
+const log = createLogger('socket');
+
+// Room protocol on top of a transport (see transport.js); socket.io to serverUrl unless
+// options.transport provides another one
 export class WebSocketClient {
-  constructor(serverUrl = 'http://localhost:3000') {
+  constructor(serverUrl = 'http://localhost:3000', options = {}) {
     this.serverUrl = serverUrl;
-    this.socket = null;
+    this.transport = options.transport || new SocketIoTransport(serverUrl);
     this.connected = false;
     this.roomId = null;
     this.userId = null;
     this.username = null;
     this.userColor = null;
     
+    // Outgoing draw events are queued and sent as one 'batch' packet per animation frame,
+    // or every drawBatchInterval ms when one is configured
+    this.drawQueue = [];
+    this.drawFlush = null;
+    this.drawBatchInterval = options.drawBatchInterval || 0;
+    
+    // Operations made while disconnected are replayed in order after the room is rejoined, once
+    // its state has arrived or nobody answered within REPLAY_WAIT_MS; anything new queues up behind
+    // them until then. reconcileOperation(event, payload) lets the app check each one against what
+    // happened meanwhile: it returns the payload to send, or null to drop it. The replay also waits
+    // for stateRestored, which the app sets to its restore of the local copy the entries are checked
+    // against; onQueueSave lets it save that copy whenever the queue is saved.
+    this.offlineQueue = new OfflineQueue();
+    this.offlineQueue.onChange = (count) => {
+      if (this.onPendingChange) this.onPendingChange(count);
+    };
+    this.offlineQueue.onSave = () => {
+      if (this.onQueueSave) this.onQueueSave();
+    };
+    this.offlineQueueLoaded = Promise.resolve();
+    this.stateRestored = Promise.resolve();
+    this.replayPending = false;
+    this.replayTimer = null;
+    // Requests for our state that arrived before the replay; a snapshot sent earlier would
+    // contain the queued operations, which peers would then get a second time
+    this.deferredStateRequests = [];
+    this.reconcileOperation = null;
+    this.onPendingChange = null;
+    this.onQueueSave = null;
+    this.REPLAY_WAIT_MS = 1500;
+    this.MAX_REPLAY_BATCH_EVENTS = 500;
+    
+    // Connection lifecycle: 'connecting', 'connected', 'reconnecting' (next attempt at retryAt)
+    // or 'offline'. Failed attempts are retried forever, backing off exponentially with jitter.
+    this.status = 'offline';
+    this.retryAt = null;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.stopped = false;
+    this.onStatusChange = null;
+    this.RECONNECT_BASE_DELAY_MS = 1000;
+    this.RECONNECT_MAX_DELAY_MS = 30000;
+    
+    // Diagnostics: round trips of 'ping' messages answered with 'pong' by whatever serves the room,
+    // and totals of what went over the wire. Byte counts (JSON length by event name) are only taken
+    // while measureTraffic is on, since they cost a serialization per message.
+    this.rtt = null;
+    this.averageRtt = null;
+    this.pingTimer = null;
+    this.traffic = { sent: { events: 0, bytes: {} }, received: { events: 0, bytes: {} } };
+    this.measureTraffic = false;
+    this.PING_INTERVAL_MS = 5000;
+    // Received messages that failed validation and were dropped, by event name
+    this.droppedMessages = {};
+    
     this.onConnect = null;
     this.onDisconnect = null;
     this.onDrawing = null;
     this.onCanvasState = null;
+    this.onCanvasStateRequest = null;
     this.onError = null;
     this.onUserJoin = null;
     this.onUserLeave = null;
@@ -21,144 +86,392 @@ export class WebSocketClient {
     this.onClearCanvas = null;
     this.onUndo = null;
     this.onRedo = null;
+    this.onLayerUpdate = null;
   }
   
-  // Establish connection with fallback to polling if WebSocket fails
+  // Join roomId once the transport connects, and again after every reconnect
   connect(roomId = 'default', userInfo = {}) {
     this.roomId = roomId;
     this.userId = userInfo.userId || Math.random().toString(36).substring(7);
     this.username = userInfo.username || 'Anonymous';
     this.userColor = userInfo.color || '#6366f1';
+    this.offlineQueueLoaded = this.offlineQueue.load(this.roomId, this.userId);
+    this.stopped = false;
     
+    this.setupSocketListeners();
+    // No point in retrying while the browser knows it is offline; try again as soon as it is back
+    window.addEventListener('online', () => {
+      if (!this.connected && !this.stopped) this.openTransport();
+    });
+    window.addEventListener('offline', () => {
+      if (this.status === 'reconnecting') this.setStatus('offline');
+    });
+    this.openTransport();
+  }
+  
+  openTransport() {
+    this.cancelReconnect();
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      this.setStatus('offline');
+      return;
+    }
+    
+    this.setStatus('connecting');
     try {
-      if (typeof io !== 'undefined') {
-        this.socket = io(this.serverUrl, {
-          transports: ['websocket', 'polling'],
-          reconnection: true,
-          reconnectionAttempts: 5,
-          reconnectionDelay: 1000
-        });
-        
-        this.setupSocketListeners();
-      } else {
-        console.warn('Socket.io client not loaded. Running in offline mode.');
-        if (this.onError) this.onError('Socket.io client not available');
-      }
+      if (this.transport.connect() === false) this.setStatus('offline');
     } catch (error) {
-      console.error('WebSocket connection error:', error);
+      log.error('WebSocket connection error:', error);
       if (this.onError) this.onError(error);
+      this.scheduleReconnect();
+    }
+  }
+  
+  // Delays double from RECONNECT_BASE_DELAY_MS up to RECONNECT_MAX_DELAY_MS; each one is randomized
+  // between half and all of that so a room full of clients doesn't come back in lockstep
+  scheduleReconnect() {
+    if (this.stopped || this.reconnectTimer) return;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      this.setStatus('offline');
+      return;
     }
+    
+    const ceiling = Math.min(this.RECONNECT_MAX_DELAY_MS, this.RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempt);
+    const delay = ceiling / 2 + Math.random() * ceiling / 2;
+    this.reconnectAttempt++;
+    this.retryAt = Date.now() + delay;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.openTransport();
+    }, delay);
+    this.setStatus('reconnecting');
+  }
+  
+  cancelReconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.retryAt = null;
+  }
+  
+  // Skip the wait and try again straight away
+  retryNow() {
+    if (this.connected) return;
+    this.stopped = false;
+    this.reconnectAttempt = 0;
+    this.openTransport();
+  }
+  
+  setStatus(status) {
+    if (status !== 'reconnecting') this.retryAt = null;
+    this.status = status;
+    if (this.onStatusChange) this.onStatusChange(status, this.retryAt);
   }
   
   setupSocketListeners() {
-    this.socket.on('connect', () => {
-      console.log('Connected to server');
+    // Events from the server are counted for the diagnostics before they are handled
+    const on = (event, handler) => {
+      this.transport.on(event, (data) => {
+        this.recordTraffic('received', event, data);
+        // Nothing from the wire reaches the app before it has been checked against its schema
+        if (!validateInbound(event, data)) {
+          this.droppedMessages[event] = (this.droppedMessages[event] || 0) + 1;
+          log.warn('Dropped malformed message:', event);
+          return;
+        }
+        handler(data);
+      });
+    };
+    
+    this.transport.on('connect', () => {
+      log.info('Connected to server');
       this.connected = true;
+      this.reconnectAttempt = 0;
+      this.setStatus('connected');
+      this.startPing();
       
-      this.socket.emit('join-room', { 
+      this.send('join-room', { 
         roomId: this.roomId, 
         userId: this.userId,
         username: this.username,
         color: this.userColor
       });
       
+      this.replayPending = true;
+      this.replayTimer = setTimeout(() => this.replayWhenLoaded(), this.REPLAY_WAIT_MS);
+      this.offlineQueueLoaded.then(() => {
+        // Nothing was made offline, so there is nothing to check
+        if (this.offlineQueue.entries.length === 0) this.replayWhenLoaded();
+      });
+      
       if (this.onConnect) this.onConnect();
     });
     
-    this.socket.on('disconnect', () => {
-      console.log('Disconnected from server');
+    this.transport.on('disconnect', () => {
+      log.info('Disconnected from server');
       this.connected = false;
+      this.stopPing();
+      clearTimeout(this.replayTimer);
+      this.replayTimer = null;
+      this.replayPending = false;
+      this.deferredStateRequests = [];
+      // Anything still waiting for the next frame goes to the offline queue
+      this.flushDrawQueue();
       
+      if (this.stopped) {
+        this.setStatus('offline');
+      } else {
+        this.scheduleReconnect();
+      }
       if (this.onDisconnect) this.onDisconnect();
     });
     
+    this.transport.on('connect-error', (error) => {
+      log.warn('Connection attempt failed:', error);
+      this.scheduleReconnect();
+    });
+    
     // Ignore drawing events from self to prevent double-drawing
-    this.socket.on('drawing', (data) => {
-      console.log('Received drawing event from server:', {
-        type: data.type,
-        userId: data.userId,
-        myUserId: this.userId,
-        strokeId: data.strokeId,
-        shouldProcess: data.userId !== this.userId
-      });
+    on('drawing', (data) => {
+      if (data.type === 'batch') {
+        if (data.userId === this.userId || !this.onDrawing) return;
+        log.debug('Received drawing batch:', data.userId, (data.events || []).length);
+        for (const event of unpackDrawEvents(data)) {
+          this.onDrawing(event);
+        }
+        return;
+      }
       
+      log.debug('Received drawing event:', data.type, data.userId, data.strokeId);
       if (data.userId !== this.userId && this.onDrawing) {
         this.onDrawing(data);
-      } else if (data.userId === this.userId) {
-        console.log('Skipping own drawing event');
       }
     });
     
-    this.socket.on('canvas-state', (data) => {
-      console.log('Received canvas state');
+    on('canvas-state', (data) => {
+      if (data.userId === this.userId) return;
+      if (data.targetUserId && data.targetUserId !== this.userId) return;
+      log.debug('Received canvas state from:', data.userId);
       if (this.onCanvasState) this.onCanvasState(data);
+      if (this.replayPending) this.replayWhenLoaded();
     });
     
-    this.socket.on('user-joined', (data) => {
-      console.log('User joined:', data.username);
+    // Another user asking the room for its current state
+    on('request-canvas-state', (data) => {
+      if (data.userId === this.userId || !this.onCanvasStateRequest) return;
+      if (this.replayPending) {
+        this.deferredStateRequests.push(data);
+      } else {
+        this.onCanvasStateRequest(data);
+      }
+    });
+    
+    on('user-joined', (data) => {
+      log.info('User joined:', data.username);
       if (this.onUserJoin) this.onUserJoin(data);
     });
     
-    this.socket.on('user-left', (data) => {
-      console.log('User left:', data.username);
+    on('user-left', (data) => {
+      log.info('User left:', data.username);
       if (this.onUserLeave) this.onUserLeave(data);
     });
     
-    this.socket.on('cursor-move', (data) => {
+    on('cursor-move', (data) => {
       if (data.userId !== this.userId && this.onCursorMove) {
         this.onCursorMove(data);
       }
     });
     
-    this.socket.on('users-update', (data) => {
+    on('users-update', (data) => {
       if (this.onUsersUpdate) this.onUsersUpdate(data.users);
     });
     
-    this.socket.on('username-assigned', (data) => {
-      console.log('Username assigned:', data.username);
+    on('username-assigned', (data) => {
+      log.info('Username assigned:', data.username);
       this.username = data.username;
       if (this.onUsernameAssigned) this.onUsernameAssigned(data.username);
     });
     
-    this.socket.on('clear-canvas', (data) => {
-      console.log('Canvas cleared by:', data.userId);
+    on('clear-canvas', (data) => {
+      log.debug('Canvas cleared by:', data.userId);
       if (this.onClearCanvas) this.onClearCanvas(data);
     });
     
-    this.socket.on('undo', (data) => {
-      console.log('Undo event from:', data.userId);
+    on('undo', (data) => {
+      log.debug('Undo event from:', data.userId);
       if (data.userId !== this.userId && this.onUndo) {
         this.onUndo(data);
       }
     });
     
-    this.socket.on('redo', (data) => {
-      console.log('Redo event from:', data.userId);
+    on('redo', (data) => {
+      log.debug('Redo event from:', data.userId);
       if (data.userId !== this.userId && this.onRedo) {
         this.onRedo(data);
       }
     });
     
-    this.socket.on('error', (error) => {
-      console.error('Socket error:', error);
+    // A drawing layer created or changed; the newest version by clock wins everywhere
+    on('layer-update', (data) => {
+      log.debug('Layer update from:', data.userId, data.definition.id);
+      if (data.userId !== this.userId && this.onLayerUpdate) {
+        this.onLayerUpdate(data);
+      }
+    });
+    
+    // Only answers to our own pings count; a server that doesn't know 'ping' leaves the RTT unknown
+    on('pong', (data) => {
+      if (!data || data.userId !== this.userId || typeof data.sentAt !== 'number') return;
+      this.rtt = performance.now() - data.sentAt;
+      this.averageRtt = this.averageRtt === null ? this.rtt : this.averageRtt * 0.8 + this.rtt * 0.2;
+    });
+    
+    this.transport.on('error', (error) => {
+      log.error('Socket error:', error);
       if (this.onError) this.onError(error);
     });
   }
   
+  startPing() {
+    this.stopPing();
+    const ping = () => this.send('ping', { roomId: this.roomId, userId: this.userId, sentAt: performance.now() });
+    ping();
+    this.pingTimer = setInterval(ping, this.PING_INTERVAL_MS);
+  }
+  
+  stopPing() {
+    clearInterval(this.pingTimer);
+    this.pingTimer = null;
+  }
+  
+  // Every outgoing message goes through here so it is counted
+  send(event, data) {
+    this.recordTraffic('sent', event, data);
+    this.transport.emit(event, data);
+  }
+  
+  recordTraffic(direction, event, data) {
+    const totals = this.traffic[direction];
+    totals.events++;
+    if (!this.measureTraffic) return;
+    const size = data === undefined ? 0 : JSON.stringify(data).length;
+    totals.bytes[event] = (totals.bytes[event] || 0) + size;
+  }
+  
+  // Cumulative totals; callers sample them periodically to get rates
+  getNetworkStats() {
+    return {
+      rtt: this.rtt,
+      averageRtt: this.averageRtt,
+      dropped: Object.values(this.droppedMessages).reduce((sum, count) => sum + count, 0),
+      sent: { events: this.traffic.sent.events, bytes: { ...this.traffic.sent.bytes } },
+      received: { events: this.traffic.received.events, bytes: { ...this.traffic.received.bytes } }
+    };
+  }
+  
   sendDrawing(drawData) {
-    if (!this.connected || !this.socket) return;
+    this.drawQueue.push(drawData);
+    this.scheduleDrawFlush();
+  }
+  
+  // Background tabs get no animation frames, so they fall back to a timer
+  scheduleDrawFlush() {
+    if (this.drawFlush) return;
+    
+    const flush = () => {
+      this.drawFlush = null;
+      this.flushDrawQueue();
+    };
+    
+    if (this.drawBatchInterval > 0 || typeof requestAnimationFrame !== 'function' || document.hidden) {
+      this.drawFlush = { timeout: setTimeout(flush, this.drawBatchInterval || 16) };
+    } else {
+      this.drawFlush = { frame: requestAnimationFrame(flush) };
+    }
+  }
+  
+  cancelDrawFlush() {
+    if (!this.drawFlush) return;
+    if (this.drawFlush.frame) cancelAnimationFrame(this.drawFlush.frame);
+    if (this.drawFlush.timeout) clearTimeout(this.drawFlush.timeout);
+    this.drawFlush = null;
+  }
+  
+  flushDrawQueue() {
+    this.cancelDrawFlush();
+    if (this.drawQueue.length === 0) return;
+    
+    const events = packDrawEvents(this.drawQueue);
+    this.drawQueue = [];
+    this.emitOperation('drawing', { type: 'batch', events });
+  }
+  
+  // Operations are sent straight away when connected and queued for later otherwise
+  emitOperation(event, payload) {
+    if (!this.connected || this.replayPending) {
+      this.offlineQueue.push(event, payload);
+      return;
+    }
     
-    this.socket.emit('drawing', {
+    this.send(event, {
       roomId: this.roomId,
       userId: this.userId,
-      ...drawData
+      ...payload
     });
   }
   
+  replayWhenLoaded() {
+    clearTimeout(this.replayTimer);
+    this.replayTimer = null;
+    Promise.all([this.offlineQueueLoaded, this.stateRestored]).then(() => this.replayOfflineQueue());
+  }
+  
+  // Queued operations are reconciled one by one. Draw events between two other operations go
+  // out together, in batches of up to MAX_REPLAY_BATCH_EVENTS, instead of one packet per frame
+  // they were drawn in.
+  replayOfflineQueue() {
+    if (!this.connected || !this.replayPending) return;
+    this.replayPending = false;
+    
+    const entries = this.offlineQueue.takeAll();
+    if (entries.length > 0) log.info('Replaying operations made while offline:', entries.length);
+    
+    let drawEvents = [];
+    const sendDrawEvents = () => {
+      const events = packDrawEvents(drawEvents);
+      drawEvents = [];
+      for (let i = 0; i < events.length; i += this.MAX_REPLAY_BATCH_EVENTS) {
+        this.emitOperation('drawing', { type: 'batch', events: events.slice(i, i + this.MAX_REPLAY_BATCH_EVENTS) });
+      }
+    };
+    
+    for (const { event, payload } of entries) {
+      if (event === 'drawing') {
+        for (const drawEvent of payload.type === 'batch' ? payload.events : [payload]) {
+          const reconciled = this.reconcile(event, drawEvent);
+          if (reconciled) drawEvents.push(reconciled);
+        }
+        continue;
+      }
+      sendDrawEvents();
+      const reconciled = this.reconcile(event, payload);
+      if (reconciled) this.emitOperation(event, reconciled);
+    }
+    sendDrawEvents();
+    
+    const requests = this.deferredStateRequests;
+    this.deferredStateRequests = [];
+    for (const request of requests) {
+      this.onCanvasStateRequest(request);
+    }
+  }
+  
+  reconcile(event, payload) {
+    return this.reconcileOperation ? this.reconcileOperation(event, payload) : payload;
+  }
+  
   sendCursorPosition(pos) {
-    if (!this.connected || !this.socket) return;
+    if (!this.connected) return;
     
-    this.socket.emit('cursor-move', {
+    this.send('cursor-move', {
       roomId: this.roomId,
       userId: this.userId,
       pos
@@ -166,61 +479,96 @@ export class WebSocketClient {
   }
   
   requestCanvasState() {
-    if (!this.connected || !this.socket) return;
+    if (!this.connected) return;
     
-    this.socket.emit('request-canvas-state', {
+    this.send('request-canvas-state', {
       roomId: this.roomId,
       userId: this.userId
     });
   }
   
-  sendCanvasState(canvasData) {
-    if (!this.connected || !this.socket) return;
+  // Snapshots go to the user who asked for them; pending draw events are
+  // sent first so everything the snapshot contains reaches peers ahead of it
+  sendCanvasState(snapshot, targetUserId = null) {
+    if (!this.connected) return;
     
-    this.socket.emit('canvas-state', {
+    this.flushDrawQueue();
+    this.send('canvas-state', {
       roomId: this.roomId,
       userId: this.userId,
-      canvasData
+      targetUserId,
+      snapshot
     });
   }
   
-  clearCanvas() {
-    if (!this.connected || !this.socket) return;
-    
-    this.socket.emit('clear-canvas', {
-      roomId: this.roomId,
-      userId: this.userId
-    });
+  clearCanvas(clearData = {}) {
+    // Queued strokes go out first so peers see them before they are undone or cleared
+    this.flushDrawQueue();
+    this.emitOperation('clear-canvas', clearData);
   }
   
-  sendUndo(canvasData) {
-    if (!this.connected || !this.socket) return;
-    
-    this.socket.emit('undo', {
-      roomId: this.roomId,
-      userId: this.userId,
-      canvasData
-    });
+  // Only the id of the affected stroke is sent; peers replay their copy of our log
+  sendUndo(undoData) {
+    this.flushDrawQueue();
+    this.emitOperation('undo', undoData);
   }
   
-  sendRedo(canvasData) {
-    if (!this.connected || !this.socket) return;
-    
-    this.socket.emit('redo', {
-      roomId: this.roomId,
-      userId: this.userId,
-      canvasData
-    });
+  sendRedo(redoData) {
+    this.flushDrawQueue();
+    this.emitOperation('redo', redoData);
+  }
+  
+  // Strokes drawn on a layer are sent before it can be locked or hidden
+  sendLayerUpdate(layerData) {
+    this.flushDrawQueue();
+    this.emitOperation('layer-update', layerData);
   }
   
   disconnect() {
-    if (this.socket) {
-      this.socket.disconnect();
-      this.connected = false;
-    }
+    this.flushDrawQueue();
+    this.stopped = true;
+    this.cancelReconnect();
+    this.transport.disconnect();
+    this.connected = false;
+    this.setStatus('offline');
   }
   
   isConnected() {
     return this.connected;
   }
 }
+
+// Consecutive moves of the same stroke are merged into one entry with a list of points; moves
+// that were packed already (replayed from the offline queue) are merged the same way.
+// The entry keeps the clock of its last move; stroke metadata only travels with 'start'.
+function packDrawEvents(events) {
+  const packed = [];
+  for (const event of events) {
+    const previous = packed[packed.length - 1];
+    const points = event.type === 'move' && (Array.isArray(event.points) ? event.points : [event.pos]);
+    if (event.type === 'move' && previous && previous.type === 'move' && previous.strokeId === event.strokeId) {
+      previous.points.push(...points);
+      previous.clock = event.clock;
+    } else if (event.type === 'move') {
+      packed.push({ type: 'move', strokeId: event.strokeId, points: [...points], clock: event.clock });
+    } else {
+      packed.push(event);
+    }
+  }
+  return packed;
+}
+
+// Expand a received batch back into the individual draw events, in the order they were drawn
+function unpackDrawEvents(batch) {
+  const events = [];
+  for (const event of batch.events || []) {
+    if (event.type === 'move' && Array.isArray(event.points)) {
+      for (const pos of event.points) {
+        events.push({ userId: batch.userId, type: 'move', strokeId: event.strokeId, pos, clock: event.clock });
+      }
+    } else {
+      events.push({ ...event, userId: batch.userId });
+    }
+  }
+  return events;
+}